@@ -1,3 +1,5 @@
+/** @type {typeof HTMLElement} - Lets the static markup helpers be imported where there is no DOM, e.g. on a server. */
+const HTMLElementBase = globalThis.HTMLElement ?? /** @type {typeof HTMLElement} */(/** @type {unknown} */(class { }));
 export default
 /**
  * @class DataTemplate
@@ -6,58 +8,1066 @@ export default
  * @author Greenwald
  * @source https://github.com/DataDink/web-components
  */
-class DataTemplate extends HTMLElement {
+class DataTemplate extends HTMLElementBase {
   static #NODES = Symbol('data-template-nodes');
+  static #ITEM = Symbol('data-template-item');
+  static #KEY = Symbol('data-template-key');
+  static #TEMPLATE = Symbol('data-template-template');
+  /** @type {WeakMap<Node, DataTemplate>} */
+  static #OWNERS = new WeakMap();
+  /** @type {WeakMap<Element, Map<string, EventListener>>} */
+  static #LISTENERS = new WeakMap();
+  /** @type {WeakSet<Element>} */
+  static #INPUTS = new WeakSet();
+  /** @type {WeakSet<Function>} */
+  static #DECLARATIVE = new WeakSet();
+  /** @type {Map<string, Promise<CSSStyleSheet>>} */
+  static #SHEETS = new Map();
+  static #VOID = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+  static #RAW = new Set(['script', 'style', 'textarea', 'title']);
   /** @typedef {(this: DocumentFragment, data: any, context: DocumentFragment) => Promise<void>} DataBinder - A binding or mapping function */
-  static get observedAttributes() { return ['target']; }
+  /** @typedef {(data: any, index: number) => any} KeySelector - Selects the identity of a data item */
+  /** @typedef {(data: any, index: number) => string | HTMLTemplateElement | null | undefined} TemplateSelector - Selects the template type for a data item */
+  /** @typedef {(previous: any, item: any) => boolean} ItemComparer - Determines whether a rendered item is unchanged by a new item */
+  /**
+   * @typedef {object} RenderStats - The result of a render
+   * @property {number} count - The number of items rendered.
+   * @property {number} duration - The duration of the render in milliseconds.
+   * @property {boolean} [cancelled] - Set when the render was cancelled before completing.
+   */
+  /**
+   * @typedef {object} VirtualState - The state of a virtual render
+   * @property {any[]} data - The full dataset.
+   * @property {DataBinder} binder - The data binder function.
+   * @property {(number | undefined)[]} heights - The measured height of each item.
+   * @property {Map<number, DocumentFragment>} mounted - The mounted instances by item index.
+   * @property {[HTMLElement, HTMLElement] | null} spacers - The elements reserving the height of unmounted items.
+   * @property {Element | null} container - The scroll container being observed.
+   * @property {ResizeObserver | null} observer - Observes the scroll container's size.
+   * @property {() => void} listener - Schedules a refresh on scroll or resize.
+   * @property {number} frame - The pending animation frame, or 0.
+   * @property {Promise<void> | null} busy - The refresh in progress.
+   * @property {boolean} queued - Set when another refresh was requested during a refresh.
+   */
+  /**
+   * @typedef {object} MarkupElement - An element parsed by `parseMarkup`
+   * @property {string} name - The lower-case tag name.
+   * @property {[string, string | null][]} attributes - The attribute names and escaped values, or null for attributes without a value.
+   * @property {MarkupNode[]} children - The child nodes.
+   */
+  /** @typedef {MarkupElement | string} MarkupNode - An element, or text and comments as escaped markup */
+  static get observedAttributes() { return ['target', 'src']; }
   /** @type {DocumentFragment[]} */
   #content = [];
+  /** @type {CSSStyleSheet[]} */
+  #sheets = [];
+  /** @type {{root: ShadowRoot, adopted: Promise<void>} | null} - The document stylesheets adopted for `global-styles` during the current render. */
+  #globalSheets = null;
+  /** @type {DataBinder | null} */
+  #binder = null;
+  /** @type {KeySelector | null} */
+  #key = null;
+  /** @type {VirtualState | null} */
+  #virtual = null;
+  /** @type {DocumentFragment | null} */
+  #placeholder = null;
+  /** @type {TemplateSelector | null} */
+  #templateSelector = null;
+  /** @type {ItemComparer | null} */
+  #equals = null;
+  /** @type {AbortController | null} */
+  #controller = null;
 
   /**
    * @property {string} target - The content target insertion type: 'before', 'after', 'shadow', or a query-selector. Defaults to a 'after'.
    */
   get target() { return this.hasAttribute('target') ? this.getAttribute('target') : 'after'; }
   set target(value) { value == null ? this.removeAttribute('target') : this.setAttribute('target', value); }
+  /**
+   * @property {string | null} src - The url of JSON or NDJSON data to render. Re-renders when changed.
+   */
+  get src() { return this.getAttribute('src'); }
+  set src(value) { value == null ? this.removeAttribute('src') : this.setAttribute('src', value); }
+  /**
+   * @property {string | null} key - The name of the data item property identifying items between renders.
+   */
+  get key() { return this.getAttribute('key'); }
+  set key(value) { value == null ? this.removeAttribute('key') : this.setAttribute('key', value); }
+  /**
+   * @property {bool} virtual - Set to only mount the instances visible within the scroll container.
+   */
+  get virtual() { return this.hasAttribute('virtual'); }
+  set virtual(value) { value ? this.setAttribute('virtual', 'virtual') : this.removeAttribute('virtual'); }
+  /**
+   * @property {number} itemHeight - The fixed height in pixels of each instance in virtual mode. If not set, heights are measured.
+   */
+  get itemHeight() { return Math.max(0, parseFloat(this.getAttribute('item-height') ?? '') || 0); }
+  set itemHeight(value) { value == null ? this.removeAttribute('item-height') : this.setAttribute('item-height', String(value)); }
+  /**
+   * @property {number} overscan - The number of instances mounted beyond each edge of the visible area in virtual mode. Defaults to 3.
+   */
+  get overscan() {
+    const overscan = parseInt(this.getAttribute('overscan') ?? '');
+    return Number.isNaN(overscan) ? 3 : Math.max(0, overscan);
+  }
+  set overscan(value) { value == null ? this.removeAttribute('overscan') : this.setAttribute('overscan', String(value)); }
+  /**
+   * @property {number} concurrency - The maximum number of binder calls in progress at once. Defaults to 1.
+   */
+  get concurrency() { return Math.max(1, parseInt(this.getAttribute('concurrency') ?? '') || 1); }
+  set concurrency(value) { value == null ? this.removeAttribute('concurrency') : this.setAttribute('concurrency', String(value)); }
+  /**
+   * @property {number} frameBudget - The milliseconds per animation frame spent inserting bound instances. If not set, instances are inserted as soon as they are bound.
+   */
+  get frameBudget() { return Math.max(0, parseFloat(this.getAttribute('frame-budget') ?? '') || 0); }
+  set frameBudget(value) { value == null ? this.removeAttribute('frame-budget') : this.setAttribute('frame-budget', String(value)); }
+  /**
+   * @property {bool} twoWay - Set to write the values of form controls in rendered instances back to their items.
+   */
+  get twoWay() { return this.hasAttribute('two-way'); }
+  set twoWay(value) { value ? this.setAttribute('two-way', 'two-way') : this.removeAttribute('two-way'); }
+  /**
+   * @property {bool} adoptStyles - Set to convert template stylesheets into shared constructable stylesheets when targeting a shadow root.
+   */
+  get adoptStyles() { return this.hasAttribute('adopt-styles'); }
+  set adoptStyles(value) { value ? this.setAttribute('adopt-styles', 'adopt-styles') : this.removeAttribute('adopt-styles'); }
+  /**
+   * @property {bool} globalStyles - Set to also adopt the document's stylesheets when `adopt-styles` targets a shadow root.
+   */
+  get globalStyles() { return this.hasAttribute('global-styles'); }
+  set globalStyles(value) { value ? this.setAttribute('global-styles', 'global-styles') : this.removeAttribute('global-styles'); }
+  /**
+   * @property {bool} hydrate - Set to adopt existing elements marked with `data-rendered` as the rendered items when connected.
+   */
+  get hydrate() { return this.hasAttribute('hydrate'); }
+  set hydrate(value) { value ? this.setAttribute('hydrate', 'hydrate') : this.removeAttribute('hydrate'); }
+  /**
+   * @property {TemplateSelector | null} templateSelector - Selects the template for each item by returning a &lt;template&gt; `type` or element.
+   */
+  get templateSelector() { return this.#templateSelector; }
+  set templateSelector(value) { this.#templateSelector = value ?? null; }
+  /**
+   * @property {ItemComparer | null} equals - Determines whether a keyed instance's item is unchanged by its new item, skipping the re-bind. Defaults to identity.
+   */
+  get equals() { return this.#equals; }
+  set equals(value) { this.#equals = value ?? null; }
+  /**
+   * @readonly
+   * @property {ReadonlyArray<Readonly<{data: any, nodes: ReadonlyArray<Node>}>>} items - The rendered items in order with their data and nodes. Only mounted items are listed in virtual mode.
+   */
+  get items() {
+    return Object.freeze(this.#content.map(context => Object.freeze({
+      data: /** @type {any} */(context)[DataTemplate.#ITEM],
+      nodes: Object.freeze([.../** @type {Node[]} */(/** @type {any} */(context)[DataTemplate.#NODES])])
+    })));
+  }
   /**
    * @async
    * @method render
-   * @description Renders the data template content using the provided data and binder.
-   * @param {any} data - The data to be rendered. If this is an array, each item will be rendered.
-   * @param {DataBinder} binder - The data binder function.
+   * @description Renders the data template content using the provided data and binder, cancelling any render in progress.
+   * @param {any} data - The data to be rendered. If this is an array, each item will be rendered. If this is a promise or other thenable, the `loading` template is shown until it resolves.
+   * If this is an async iterable or ReadableStream, items are rendered as they arrive.
+   * @param {DataBinder | null} binder - The data binder function. If not provided, the template's declarative bindings are used.
+   * @param {KeySelector | null} key - An optional key selector. If provided, or if the `key` attribute is set, the render is reconciled against the previous render.
+   * @returns {Promise<RenderStats>} The number of items rendered and the duration of the render, also dispatched as a `rendered` event.
+   * A render cancelled by another render resolves with a `cancelled` count of 0 and dispatches no event.
+   * @throws Rejects if the data or the binder fails.
+   */
+  async render(data, binder = null, key = null) {
+    const start = performance.now();
+    binder ??= DataTemplate.createBinder(this);
+    const name = this.key;
+    key ??= name ? (/** @type {any} */ item) => item?.[name] : null;
+    this.#binder = binder;
+    this.#key = key;
+    this.#globalSheets = null;
+    DataTemplate.abort(this);
+    const controller = this.#controller = new AbortController();
+    const signal = controller.signal;
+    try {
+      if (typeof data?.then === 'function') {
+        DataTemplate.showPlaceholder(this, 'loading');
+        data = await DataTemplate.abortable(Promise.resolve(data), signal);
+      }
+      if (data instanceof ReadableStream) { data = DataTemplate.readStream(data, signal); }
+      let count = 0;
+      if (typeof data?.[Symbol.asyncIterator] === 'function') {
+        count = await DataTemplate.stream(this, data, binder, key, signal);
+      } else if (this.virtual) {
+        DataTemplate.startVirtual(this, data == null ? null : Array.isArray(data) ? [...data] : [data], binder);
+        await DataTemplate.refresh(this);
+        count = this.#virtual?.data.length ?? 0;
+      } else if (key && data != null) {
+        DataTemplate.hidePlaceholder(this);
+        await DataTemplate.reconcile(this, Array.isArray(data) ? data : [data], binder, key, signal);
+        count = this.#content.length;
+      } else {
+        count = await DataTemplate.pipeline(this, data == null ? [] : Array.isArray(data) ? [...data] : [data], binder, signal);
+      }
+      if (signal.aborted) { return { count: 0, duration: performance.now() - start, cancelled: true }; }
+      DataTemplate.syncEmpty(this);
+      const stats = { count, duration: performance.now() - start };
+      this.dispatchEvent(new CustomEvent('rendered', { detail: stats, bubbles: true, composed: true }));
+      return stats;
+    } catch (error) {
+      if (signal.aborted) { return { count: 0, duration: performance.now() - start, cancelled: true }; }
+      DataTemplate.clear(this);
+      DataTemplate.showPlaceholder(this, 'error', error);
+      throw error;
+    } finally {
+      if (this.#controller === controller) { this.#controller = null; }
+    }
+  }
+  /**
+   * @async
+   * @method append
+   * @description Renders items after the currently rendered items.
+   * @param {...any} items - The data items to render.
+   */
+  async append(...items) { await this.insertAt(this.#content.length, ...items); }
+  /**
+   * @async
+   * @method prepend
+   * @description Renders items before the currently rendered items.
+   * @param {...any} items - The data items to render.
    */
-  async render(data, binder) {
-    DataTemplate.clear(this);
-    if (data == null) { return; }
-    const template = DataTemplate.getTemplate(this);
-    data = Array.isArray(data) ? [...data] : [data];
+  async prepend(...items) { await this.insertAt(0, ...items); }
+  /**
+   * @async
+   * @method insertAt
+   * @description Renders items at a position among the currently rendered items using the binder of the last render.
+   * @param {number} index - The position to insert at.
+   * @param {...any} items - The data items to render.
+   */
+  async insertAt(index, ...items) {
+    DataTemplate.assertNotVirtual(this);
+    const binder = this.#binder ?? DataTemplate.createBinder(this);
     const target = DataTemplate.getTargetContext(this);
-    while (data.length) {
-      const item = data.shift();
-      const context = /** @type {DocumentFragment} */(template.content.cloneNode(true));
-      await binder.call(context, item, context);
-      /** @type {any} */(context)[DataTemplate.#NODES] = [...context.childNodes];
-      this.#content.push(context);
-      DataTemplate.insert(this, context, target);
+    index = Math.max(0, Math.min(index, this.#content.length));
+    for (const item of items) {
+      const context = await DataTemplate.createContext(this, item, binder, target, index);
+      if (this.#key) { /** @type {any} */(context)[DataTemplate.#KEY] = this.#key(item, index); }
+      DataTemplate.hidePlaceholder(this);
+      this.#content.splice(index, 0, context);
+      if (DataTemplate.place(this, context, index++)) { context.dispatchEvent(new CustomEvent('attach')); }
+    }
+  }
+  /**
+   * @method removeAt
+   * @description Removes rendered items.
+   * @param {number} index - The position of the first item to remove.
+   * @param {number} count - The number of items to remove. Defaults to 1.
+   * @returns {any[]} The data of the removed items.
+   */
+  removeAt(index, count = 1) {
+    DataTemplate.assertNotVirtual(this);
+    const removed = this.#content.splice(index, count);
+    for (const context of removed) {
+      for (const node of /** @type {Node[]} */(/** @type {any} */(context)[DataTemplate.#NODES])) { context.appendChild(node); }
+      context.dispatchEvent(new CustomEvent('detach'));
+    }
+    DataTemplate.syncEmpty(this);
+    return removed.map(context => /** @type {any} */(context)[DataTemplate.#ITEM]);
+  }
+  /**
+   * @async
+   * @method update
+   * @description Re-binds a rendered item to new data using the binder of the last render, dispatching an `update` event from its context.
+   * @param {number} index - The position of the item to update.
+   * @param {any} item - The new data item.
+   */
+  async update(index, item) {
+    DataTemplate.assertNotVirtual(this);
+    const context = this.#content[index];
+    if (!context) { throw new RangeError(`No rendered item at index ${index}.`); }
+    if (DataTemplate.selectTemplate(this, item, index) !== /** @type {any} */(context)[DataTemplate.#TEMPLATE]) {
+      this.removeAt(index);
+      return this.insertAt(index, item);
+    }
+    const binder = this.#binder ?? DataTemplate.createBinder(this);
+    await DataTemplate.rebind(this, context, item, binder);
+    if (this.#key) { /** @type {any} */(context)[DataTemplate.#KEY] = this.#key(item, index); }
+    DataTemplate.place(this, context, this.#content.indexOf(context));
+    context.dispatchEvent(new CustomEvent('update', { detail: item }));
+  }
+  /**
+   * @method move
+   * @description Moves a rendered item to a new position without re-binding it.
+   * @param {number} from - The current position of the item.
+   * @param {number} to - The new position of the item.
+   */
+  move(from, to) {
+    DataTemplate.assertNotVirtual(this);
+    const [context] = this.#content.splice(from, 1);
+    if (!context) { throw new RangeError(`No rendered item at index ${from}.`); }
+    to = Math.max(0, Math.min(to, this.#content.length));
+    this.#content.splice(to, 0, context);
+    DataTemplate.place(this, context, to);
+  }
+  /**
+   * @method serialize
+   * @description Extracts the rendered items with the current values of their form controls, leaving the items themselves unchanged.
+   * @returns {any[]} Copies of the items with each form control's value assigned at its `data-value` or `name` path. In virtual mode, unmounted items are returned as they are.
+   */
+  serialize() {
+    const state = this.#virtual;
+    if (!state) { return this.#content.map(context => DataTemplate.extract(this, context)); }
+    return state.data.map((item, index) => {
+      const context = state.mounted.get(index);
+      return context ? DataTemplate.extract(this, context) : item;
+    });
+  }
+  /**
+   * @async
+   * @method scrollToIndex
+   * @description Scrolls the item at an index into view, mounting it first in virtual mode.
+   * @param {number} index - The index of the item to scroll to.
+   * @param {'start' | 'center' | 'end'} align - Where to align the item within the visible area. Defaults to 'start'.
+   */
+  async scrollToIndex(index, align = 'start') {
+    const state = this.#virtual;
+    if (!state) {
+      const nodes = /** @type {Node[]} */(/** @type {any} */(this.#content[index])?.[DataTemplate.#NODES] ?? []);
+      nodes.find(n => n instanceof Element)?.scrollIntoView({ block: align });
+      return;
     }
+    await DataTemplate.refresh(this);
+    if (!state.spacers || !state.container || this.#virtual !== state) { return; }
+    index = Math.max(0, Math.min(index, state.data.length - 1));
+    const offsets = DataTemplate.getOffsets(this, state);
+    const height = offsets[index + 1] - offsets[index];
+    const view = DataTemplate.getViewport(state.container);
+    const top = state.spacers[0].getBoundingClientRect().top + offsets[index];
+    const delta = align === 'center' ? top - view.top - (view.bottom - view.top - height) / 2
+      : align === 'end' ? top + height - view.bottom
+      : top - view.top;
+    if (state.container.scrollHeight > state.container.clientHeight) { state.container.scrollTop += delta; }
+    else { window.scrollBy(0, delta); }
+    await DataTemplate.refresh(this);
   }
 
 
-  connectedCallback() { DataTemplate.insert(this); }
-  disconnectedCallback() { DataTemplate.remove(this); }
+  /** @type {boolean} - Set while connected, so `src` is only loaded once connected and not twice on upgrade. */
+  #connected = false;
+  /** @type {string | null} - The `src` last loaded, so reconnecting only loads a changed or interrupted `src`. */
+  #loadedSrc = null;
+  /** @type {AbortController | null} - The request of the `src` load in progress. */
+  #loading = null;
+  connectedCallback() {
+    this.#connected = true;
+    if (this.hydrate && DataTemplate.hydrateContent(this)) {
+      this.#loadedSrc = this.src;
+      return;
+    }
+    DataTemplate.insert(this);
+    if (this.src && this.src !== this.#loadedSrc) { DataTemplate.load(this); }
+  }
+  disconnectedCallback() {
+    this.#connected = false;
+    if (this.#loading) {
+      DataTemplate.abort(this);
+      this.#loadedSrc = null;
+    }
+    DataTemplate.remove(this);
+  }
   /** @type {number | undefined} */
   #deferAttributeChange;
   attributeChangedCallback(/** @type {string} */ name, /** @type {string | null} */ oldValue, /** @type {string | null} */newValue) {
     if (oldValue === newValue) { return; }
-    if (DataTemplate.observedAttributes.includes(name)) {
+    if (name === 'src') {
+      if (this.#connected) { DataTemplate.load(this); }
+    } else if (DataTemplate.observedAttributes.includes(name)) {
       clearTimeout(this.#deferAttributeChange);
       this.#deferAttributeChange = setTimeout(() => {
-        if (!this.#content.length) { return; }
+        if (!this.#content.length && !this.#placeholder) { return; }
         DataTemplate.remove(this);
         DataTemplate.insert(this);
       }, 0);
     }
   }
 
+  /**
+   * @async
+   * @static
+   * @method createContext
+   * @description Creates and binds a new template instance.
+   * @param {DataTemplate} component - The instance of DataTemplate to create the instance for.
+   * @param {any} item - The data item to bind.
+   * @param {DataBinder} binder - The data binder function.
+   * @param {Node | null} target - The target the instance will be inserted into.
+   * @param {number} index - The index of the item within the dataset.
+   * @returns {Promise<DocumentFragment>} The bound template instance.
+   */
+  static async createContext(component, item, binder, target, index = 0) {
+    const template = DataTemplate.selectTemplate(component, item, index);
+    const context = document.importNode(template.content, true);
+    /** @type {any} */(context)[DataTemplate.#TEMPLATE] = template;
+    await binder.call(context, item, context);
+    if (component.adoptStyles && target instanceof ShadowRoot) {
+      if (component.globalStyles && component.#globalSheets?.root !== target) {
+        const adopted = DataTemplate.getDocumentStyleSheets()
+          .then(sheets => { component.#sheets.push(...DataTemplate.#adopt(target, sheets)); });
+        component.#globalSheets = { root: target, adopted };
+      }
+      await component.#globalSheets?.adopted;
+      component.#sheets.push(...await DataTemplate.adoptStyles(component, context, target));
+    }
+    /** @type {any} */(context)[DataTemplate.#NODES] = [...context.childNodes];
+    for (const node of context.childNodes) { DataTemplate.#OWNERS.set(node, component); }
+    /** @type {any} */(context)[DataTemplate.#ITEM] = item;
+    DataTemplate.bindInputs(component, context);
+    return context;
+  }
+  /**
+   * @static
+   * @method createBinder
+   * @description Creates the default binder, applying the declarative bindings with `bind`. Instances it binds are re-bound in place.
+   * @param {DataTemplate} component - The instance of DataTemplate rendering the items.
+   * @returns {DataBinder} The binder.
+   */
+  static createBinder(component) {
+    /** @type {DataBinder} */
+    const binder = (item, context) => DataTemplate.bind(component, item, context);
+    DataTemplate.#DECLARATIVE.add(binder);
+    return binder;
+  }
+  /**
+   * @async
+   * @static
+   * @method bind
+   * @description The default binder, applying the declarative bindings found on the template's elements:
+   * `data-text`, `data-value`, `data-attr-*`, `data-class-*`, `data-on-*` and nested `<data-template data-each>`.
+   * With `two-way` set, form controls with a `name` and no `data-value` are bound to the `name` path.
+   * Values are only ever assigned as text or attribute values, never parsed as HTML.
+   * `data-attr-on*` and `data-attr-srcdoc` bindings are ignored and `javascript:` values are not assigned.
+   * @param {DataTemplate} component - The instance of DataTemplate rendering the item.
+   * @param {any} item - The data item to bind.
+   * @param {DocumentFragment} context - The template instance to bind. A rendered instance is bound in place, wherever its nodes are.
+   */
+  static async bind(component, item, context) {
+    const nodes = /** @type {Node[]} */(/** @type {any} */(context)[DataTemplate.#NODES] ?? [...context.childNodes]);
+    const elements = nodes
+      .flatMap(n => n instanceof Element ? [n, ...n.querySelectorAll('*')] : [])
+      .filter(e => DataTemplate.isOwned(component, e));
+    for (const element of elements) {
+      if (component.twoWay && DataTemplate.isControl(element) && !element.hasAttribute('data-value') && element.hasAttribute('name')) {
+        DataTemplate.writeControl(element, DataTemplate.resolve(item, element.getAttribute('name') ?? ''));
+      }
+      for (const { name, value } of [...element.attributes]) {
+        if (name === 'data-text') {
+          element.textContent = String(DataTemplate.resolve(item, value) ?? '');
+        } else if (name === 'data-value') {
+          if (DataTemplate.isControl(element)) { DataTemplate.writeControl(element, DataTemplate.resolve(item, value)); }
+        } else if (name.startsWith('data-attr-')) {
+          DataTemplate.bindAttribute(element, name.slice('data-attr-'.length), DataTemplate.resolve(item, value));
+        } else if (name.startsWith('data-class-')) {
+          element.classList.toggle(name.slice('data-class-'.length), !!DataTemplate.resolve(item, value));
+        } else if (name.startsWith('data-on-')) {
+          const event = name.slice('data-on-'.length);
+          const listeners = DataTemplate.#LISTENERS.get(element) ?? new Map();
+          DataTemplate.#LISTENERS.set(element, listeners);
+          const previous = listeners.get(event);
+          if (previous) { element.removeEventListener(event, previous); }
+          const handler = DataTemplate.resolve(item, value);
+          if (!(handler instanceof Function)) { listeners.delete(event); continue; }
+          /** @type {EventListener} */
+          const listener = e => handler.call(item, e, item);
+          listeners.set(event, listener);
+          element.addEventListener(event, listener);
+        }
+      }
+    }
+    for (const nested of elements.filter(e => e instanceof DataTemplate && e.hasAttribute('data-each'))) {
+      await /** @type {DataTemplate} */(nested).render(DataTemplate.resolve(item, nested.getAttribute('data-each') ?? ''));
+    }
+  }
+  /**
+   * @static
+   * @method isOwned
+   * @description Determines whether an element within a rendered instance belongs to a DataTemplate rather than to a nested DataTemplate's instances.
+   * @param {DataTemplate} component - The instance of DataTemplate to check.
+   * @param {Element} element - The element to check.
+   * @returns {boolean} True if the nearest rendered instance containing the element was rendered by the component.
+   */
+  static isOwned(component, element) {
+    for (let node = /** @type {Node | null} */(element); node; node = node.parentNode) {
+      const owner = DataTemplate.#OWNERS.get(node);
+      if (owner) { return owner === component; }
+    }
+    return true;
+  }
+  /**
+   * @static
+   * @method isControl
+   * @description Determines whether an element is a form control bound by value.
+   * @param {Element} element - The element to check.
+   * @returns {element is HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement} True for &lt;input&gt;, &lt;select&gt; and &lt;textarea&gt; elements.
+   */
+  static isControl(element) {
+    return element instanceof HTMLInputElement || element instanceof HTMLSelectElement || element instanceof HTMLTextAreaElement;
+  }
+  /**
+   * @static
+   * @method getControls
+   * @description Locates the form controls of a rendered instance with a `data-value` or `name` path.
+   * @param {DataTemplate} component - The instance of DataTemplate that rendered the context.
+   * @param {DocumentFragment} context - The rendered instance.
+   * @returns {(HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement)[]} The located form controls.
+   */
+  static getControls(component, context) {
+    const nodes = /** @type {Node[]} */(/** @type {any} */(context)[DataTemplate.#NODES] ?? []);
+    return nodes
+      .flatMap(n => n instanceof Element ? [n, ...n.querySelectorAll('input, select, textarea')] : [])
+      .filter(DataTemplate.isControl)
+      .filter(e => (e.hasAttribute('data-value') || e.hasAttribute('name')) && DataTemplate.isOwned(component, e));
+  }
+  /**
+   * @static
+   * @method readControl
+   * @description Reads the value of a form control: checkboxes as booleans, number and range inputs as numbers, and multiple selects as arrays.
+   * @param {HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement} control - The form control to read.
+   * @returns {any} The value of the control, or undefined for an unchecked radio button.
+   */
+  static readControl(control) {
+    if (control instanceof HTMLSelectElement && control.multiple) { return [...control.selectedOptions].map(o => o.value); }
+    if (!(control instanceof HTMLInputElement)) { return control.value; }
+    if (control.type === 'checkbox') { return control.checked; }
+    if (control.type === 'radio') { return control.checked ? control.value : undefined; }
+    if (control.type === 'number' || control.type === 'range') { return Number.isNaN(control.valueAsNumber) ? null : control.valueAsNumber; }
+    return control.value;
+  }
+  /**
+   * @static
+   * @method writeControl
+   * @description Assigns a bound value to a form control.
+   * @param {HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement} control - The form control to assign to.
+   * @param {any} value - The bound value.
+   */
+  static writeControl(control, value) {
+    if (control instanceof HTMLSelectElement && control.multiple) {
+      const values = (Array.isArray(value) ? value : [value]).map(String);
+      for (const option of control.options) { option.selected = values.includes(option.value); }
+    } else if (control instanceof HTMLInputElement && control.type === 'checkbox') {
+      control.checked = !!value;
+    } else if (control instanceof HTMLInputElement && control.type === 'radio') {
+      control.checked = value != null && String(value) === control.value;
+    } else {
+      control.value = value == null ? '' : String(value);
+    }
+  }
+  /**
+   * @static
+   * @method bindInputs
+   * @description Listens for input on the form controls of a rendered instance, writing their values back to its item
+   * and dispatching an `itemchange` event from the component while `two-way` is set.
+   * @param {DataTemplate} component - The instance of DataTemplate that rendered the context.
+   * @param {DocumentFragment} context - The rendered instance.
+   */
+  static bindInputs(component, context) {
+    if (!component.twoWay) { return; }
+    for (const control of DataTemplate.getControls(component, context)) {
+      if (DataTemplate.#INPUTS.has(control)) { continue; }
+      DataTemplate.#INPUTS.add(control);
+      control.addEventListener('input', () => {
+        const value = DataTemplate.readControl(control);
+        if (!component.twoWay || value === undefined) { return; }
+        const path = control.getAttribute('data-value') ?? control.getAttribute('name') ?? '';
+        if (!path || path === '.') {
+          /** @type {any} */(context)[DataTemplate.#ITEM] = value;
+          const state = component.#virtual;
+          for (const [index, mounted] of state?.mounted ?? []) { if (mounted === context) { /** @type {VirtualState} */(state).data[index] = value; } }
+        } else if (!DataTemplate.assign(/** @type {any} */(context)[DataTemplate.#ITEM], path, value)) { return; }
+        const item = /** @type {any} */(context)[DataTemplate.#ITEM];
+        component.dispatchEvent(new CustomEvent('itemchange', { detail: { item, path, value } }));
+      });
+    }
+  }
+  /**
+   * @static
+   * @method assign
+   * @description Assigns a value at a dotted property path of a data item.
+   * @param {any} data - The data item.
+   * @param {string} path - The dotted path, e.g. 'author.name'.
+   * @param {any} value - The value to assign.
+   * @returns {boolean} True if the value was assigned, false if the path could not be resolved.
+   */
+  static assign(data, path, value) {
+    const names = path.split('.');
+    const name = /** @type {string} */(names.pop());
+    const parent = DataTemplate.resolve(data, names.join('.'));
+    if (parent == null || typeof parent !== 'object') { return false; }
+    parent[name] = value;
+    return true;
+  }
+  /**
+   * @static
+   * @method extract
+   * @description Copies the item of a rendered instance, assigning the values of its form controls.
+   * @param {DataTemplate} component - The instance of DataTemplate that rendered the context.
+   * @param {DocumentFragment} context - The rendered instance.
+   * @returns {any} The copied item. Objects along each control's path are shallow copied.
+   */
+  static extract(component, context) {
+    /** @type {(data: any, names: string[], value: any) => any} */
+    const copy = (data, [name, ...names], value) => {
+      const result = Array.isArray(data) ? [...data] : { ...data };
+      result[name] = names.length ? copy(data?.[name], names, value) : value;
+      return result;
+    };
+    let item = /** @type {any} */(context)[DataTemplate.#ITEM];
+    for (const control of DataTemplate.getControls(component, context)) {
+      const value = DataTemplate.readControl(control);
+      if (value === undefined) { continue; }
+      const path = control.getAttribute('data-value') ?? control.getAttribute('name') ?? '';
+      item = !path || path === '.' ? value : copy(item, path.split('.'), value);
+    }
+    return item;
+  }
+  /**
+   * @static
+   * @method bindAttribute
+   * @description Assigns a bound value to an attribute. `null`, `undefined` and `false` remove the attribute and `true` sets it empty.
+   * Event handler and `srcdoc` attributes are never assigned.
+   * @param {Element} element - The element to assign the attribute to.
+   * @param {string} name - The name of the attribute.
+   * @param {any} value - The bound value.
+   */
+  static bindAttribute(element, name, value) {
+    if (name.startsWith('on') || name === 'srcdoc') { return; }
+    if (value == null || value === false) { return element.removeAttribute(name); }
+    const text = value === true ? '' : String(value);
+    if (/^javascript:/i.test(text.replace(/[\u0000-\u0020]/g, ''))) { return element.removeAttribute(name); }
+    element.setAttribute(name, text);
+  }
+  /**
+   * @static
+   * @method resolve
+   * @description Resolves a dotted property path against a data item.
+   * @param {any} data - The data item.
+   * @param {string} path - The dotted path, e.g. 'author.name'. An empty path or '.' resolves to the item itself.
+   * @returns {any} The resolved value or undefined.
+   */
+  static resolve(data, path) {
+    if (!path || path === '.') { return data; }
+    return path.split('.').reduce((value, name) => value?.[name], data);
+  }
+  /**
+   * @async
+   * @static
+   * @method rebind
+   * @description Binds a rendered instance to a new item. The declarative binder binds the nodes in place, keeping their focus and state.
+   * For other binders, the nodes are gathered back into the context while the binder runs.
+   * @param {DataTemplate} component - The instance of DataTemplate that rendered the context.
+   * @param {DocumentFragment} context - The rendered instance to re-bind.
+   * @param {any} item - The new data item.
+   * @param {DataBinder} binder - The data binder function.
+   */
+  static async rebind(component, context, item, binder) {
+    if (DataTemplate.#DECLARATIVE.has(binder)) {
+      await binder.call(context, item, context);
+    } else {
+      for (const node of /** @type {Node[]} */(/** @type {any} */(context)[DataTemplate.#NODES])) { context.appendChild(node); }
+      await binder.call(context, item, context);
+      /** @type {any} */(context)[DataTemplate.#NODES] = [...context.childNodes];
+      for (const node of context.childNodes) { DataTemplate.#OWNERS.set(node, component); }
+    }
+    /** @type {any} */(context)[DataTemplate.#ITEM] = item;
+    DataTemplate.bindInputs(component, context);
+  }
+  /**
+   * @static
+   * @method place
+   * @description Moves a rendered instance's nodes into the DOM at its position among the rendered content.
+   * @param {DataTemplate} component - The instance of DataTemplate that rendered the context.
+   * @param {DocumentFragment} context - The rendered instance to place.
+   * @param {number} index - The position of the instance within the rendered content.
+   * @returns {boolean} True if the nodes were placed in the DOM.
+   */
+  static place(component, context, index) {
+    if (!component.isConnected) { return false; }
+    const parent = component.target === 'before' || component.target === 'after' ? component.parentNode : DataTemplate.getTargetContext(component);
+    if (!parent) { return false; }
+    const following = component.#content.slice(index + 1).flatMap(c => /** @type {Node[]} */(/** @type {any} */(c)[DataTemplate.#NODES]));
+    /** @type {Node | null} */
+    let reference = following.find(n => n.parentNode === parent) ?? (component.target === 'before' ? component : null);
+    if (!reference && component.target === 'after') {
+      const nodes = new Set(component.#content.flatMap(c => /** @type {Node[]} */(/** @type {any} */(c)[DataTemplate.#NODES])));
+      reference = component.nextSibling;
+      while (reference && nodes.has(reference)) { reference = reference.nextSibling; }
+    }
+    for (const node of [.../** @type {Node[]} */(/** @type {any} */(context)[DataTemplate.#NODES])].reverse()) {
+      if (node.parentNode !== parent || node.nextSibling !== reference) { parent.insertBefore(node, reference); }
+      reference = node;
+    }
+    return true;
+  }
+  /**
+   * @async
+   * @static
+   * @method reconcile
+   * @description Renders a dataset by reusing, moving and re-binding the instances of a previous render with matching keys.
+   * Instances with a changed item, by identity or the component's `equals`, are re-bound and dispatch an `update` event.
+   * New instances dispatch `attach` and removed instances dispatch `detach`.
+   * @param {DataTemplate} component - The instance of DataTemplate to render.
+   * @param {any[]} data - The data items to render.
+   * @param {DataBinder} binder - The data binder function.
+   * @param {KeySelector} key - Selects the identity of each item.
+   * @param {AbortSignal | null} signal - An optional signal cancelling the render.
+   */
+  static async reconcile(component, data, binder, key, signal = null) {
+    /** @type {Map<any, DocumentFragment[]>} */
+    const previous = new Map();
+    for (const context of component.#content) {
+      const id = /** @type {any} */(context)[DataTemplate.#KEY];
+      previous.set(id, [...previous.get(id) ?? [], context]);
+    }
+    const target = DataTemplate.getTargetContext(component);
+    /** @type {DocumentFragment[]} */
+    const retired = [];
+    /** @type {Set<DocumentFragment>} */
+    const created = new Set();
+    /** @type {Set<DocumentFragment>} */
+    const updated = new Set();
+    /** @type {[DocumentFragment, any][]} */
+    const reused = [];
+    const tasks = data.map((item, index) => {
+      const id = key(item, index);
+      let context = previous.get(id)?.shift();
+      if (context && /** @type {any} */(context)[DataTemplate.#TEMPLATE] !== DataTemplate.selectTemplate(component, item, index)) {
+        retired.push(context);
+        context = undefined;
+      }
+      if (context) { reused.push([context, item]); }
+      const existing = context;
+      return async () => {
+        let context = existing;
+        if (!context) {
+          context = await DataTemplate.createContext(component, item, binder, target, index);
+          created.add(context);
+        }
+        signal?.throwIfAborted();
+        /** @type {any} */(context)[DataTemplate.#KEY] = id;
+        return context;
+      };
+    });
+    const content = await DataTemplate.throttle(tasks, component.concurrency);
+    // Reused instances are live, so they are only re-bound once the new instances are ready and the render is still current.
+    await DataTemplate.throttle(reused.map(([context, item]) => async () => {
+      signal?.throwIfAborted();
+      const previous = /** @type {any} */(context)[DataTemplate.#ITEM];
+      if (previous === item || component.#equals?.(previous, item)) { /** @type {any} */(context)[DataTemplate.#ITEM] = item; }
+      else {
+        await DataTemplate.rebind(component, context, item, binder);
+        updated.add(context);
+      }
+    }), component.concurrency);
+    signal?.throwIfAborted();
+    for (const context of [...retired, ...[...previous.values()].flat()]) {
+      for (const node of /** @type {Node[]} */(/** @type {any} */(context)[DataTemplate.#NODES])) { context.appendChild(node); }
+      context.dispatchEvent(new CustomEvent('detach'));
+    }
+    component.#content = content;
+    const parent = component.target === 'before' || component.target === 'after' ? component.parentNode : target;
+    if (component.isConnected && parent) {
+      const nodes = new Set(content.flatMap(c => /** @type {Node[]} */(/** @type {any} */(c)[DataTemplate.#NODES])));
+      /** @type {Node | null} */
+      let reference = component.target === 'before' ? component : null;
+      if (component.target === 'after') {
+        reference = component.nextSibling;
+        while (reference && nodes.has(reference)) { reference = reference.nextSibling; }
+      }
+      for (const context of [...content].reverse()) {
+        for (const node of [.../** @type {Node[]} */(/** @type {any} */(context)[DataTemplate.#NODES])].reverse()) {
+          if (node.parentNode !== parent || node.nextSibling !== reference) { parent.insertBefore(node, reference); }
+          reference = node;
+        }
+      }
+      for (const context of content) { if (created.has(context)) { context.dispatchEvent(new CustomEvent('attach')); } }
+    }
+    for (const context of content.filter(c => updated.has(c))) { context.dispatchEvent(new CustomEvent('update', { detail: /** @type {any} */(context)[DataTemplate.#ITEM] })); }
+  }
+  /**
+   * @async
+   * @static
+   * @method throttle
+   * @description Runs asynchronous tasks with a bounded number in progress at once. No further tasks are started once one fails.
+   * @template T
+   * @param {(() => Promise<T>)[]} tasks - The tasks to run.
+   * @param {number} limit - The maximum number of tasks in progress at once.
+   * @returns {Promise<T[]>} The results of the tasks in order.
+   */
+  static async throttle(tasks, limit) {
+    const results = /** @type {T[]} */([]);
+    let next = 0;
+    const run = async () => {
+      try { while (next < tasks.length) { const index = next++; results[index] = await tasks[index](); } }
+      catch (error) {
+        next = tasks.length;
+        throw error;
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, tasks.length) }, run));
+    return results;
+  }
+  /**
+   * @static
+   * @method startVirtual
+   * @description Clears the rendered content and starts a virtual render of a dataset.
+   * @param {DataTemplate} component - The instance of DataTemplate to render.
+   * @param {any[] | null} data - The data items to render, or null to only clear.
+   * @param {DataBinder} binder - The data binder function.
+   */
+  static startVirtual(component, data, binder) {
+    DataTemplate.clear(component);
+    if (!data) { return; }
+    component.#virtual = {
+      data, binder, heights: [], mounted: new Map(), spacers: null,
+      container: null, observer: null, listener: () => DataTemplate.scheduleRefresh(component), frame: 0, busy: null, queued: false
+    };
+  }
+  /**
+   * @async
+   * @static
+   * @method stream
+   * @description Renders items progressively as they arrive from an async iterable. The `loading` template is shown until the first item arrives.
+   * Keyed renders are reconciled once the iterable is exhausted.
+   * @param {DataTemplate} component - The instance of DataTemplate to render.
+   * @param {AsyncIterable<any>} source - The items to render.
+   * @param {DataBinder} binder - The data binder function.
+   * @param {KeySelector | null} key - An optional key selector.
+   * @param {AbortSignal} signal - The signal cancelling the render.
+   * @returns {Promise<number>} The number of items rendered.
+   */
+  static async stream(component, source, binder, key, signal) {
+    DataTemplate.showPlaceholder(component, 'loading');
+    const items = DataTemplate.iterate(source, signal);
+    if (key && !component.virtual) {
+      const data = [];
+      for await (const item of items) { data.push(item); }
+      DataTemplate.hidePlaceholder(component);
+      await DataTemplate.reconcile(component, data, binder, key, signal);
+      return data.length;
+    }
+    if (!component.virtual) { return DataTemplate.pipeline(component, items, binder, signal); }
+    let count = 0;
+    for await (const item of items) {
+      if (!count++) { DataTemplate.startVirtual(component, [], binder); }
+      component.#virtual?.data.push(item);
+      DataTemplate.scheduleRefresh(component);
+    }
+    if (!count) { DataTemplate.startVirtual(component, [], binder); }
+    await DataTemplate.refresh(component);
+    return count;
+  }
+  /**
+   * @async
+   * @static
+   * @generator
+   * @method iterate
+   * @description Iterates an async iterable, stopping as soon as the signal is aborted and closing the iterable when iteration stops early.
+   * @param {AsyncIterable<any>} source - The iterable to iterate.
+   * @param {AbortSignal} signal - The signal to observe.
+   * @yields {any} The items of the iterable.
+   */
+  static async *iterate(source, signal) {
+    const iterator = source[Symbol.asyncIterator]();
+    let finished = false;
+    try {
+      while (true) {
+        const { done, value } = await DataTemplate.abortable(iterator.next(), signal);
+        if (done) { break; }
+        yield value;
+      }
+      finished = true;
+    } finally {
+      if (!finished) { Promise.resolve(iterator.return?.()).catch(() => {}); }
+    }
+  }
+  /**
+   * @async
+   * @static
+   * @method pipeline
+   * @description Binds items with up to `concurrency` binder calls in progress, inserting the instances in order.
+   * With a `frameBudget`, instances are inserted in batches on each animation frame until the budget is spent.
+   * Previous content is cleared when the first item arrives, or once the items are exhausted if there are none.
+   * @param {DataTemplate} component - The instance of DataTemplate to render.
+   * @param {Iterable<any> | AsyncIterable<any>} source - The items to render.
+   * @param {DataBinder} binder - The data binder function.
+   * @param {AbortSignal} signal - The signal cancelling the render.
+   * @returns {Promise<number>} The number of items rendered.
+   */
+  static async pipeline(component, source, binder, signal) {
+    const limit = component.concurrency;
+    const budget = component.frameBudget;
+    /** @type {Node | null} */
+    let target = null;
+    /** @type {Promise<DocumentFragment>[]} */
+    const binding = [];
+    /** @type {DocumentFragment[]} */
+    const ready = [];
+    /** @type {Promise<void> | null} */
+    let committing = null;
+    let count = 0;
+    const place = (/** @type {DocumentFragment} */ context) => {
+      component.#content.push(context);
+      DataTemplate.insert(component, context, target);
+    };
+    const commit = async () => {
+      const context = await /** @type {Promise<DocumentFragment>} */(binding.shift());
+      signal.throwIfAborted();
+      if (!budget) { return place(context); }
+      ready.push(context);
+      committing ??= (async () => {
+        try {
+          while (ready.length) {
+            await DataTemplate.abortable(new Promise(resolve => requestAnimationFrame(resolve)), signal);
+            const deadline = performance.now() + budget;
+            do { place(/** @type {DocumentFragment} */(ready.shift())); }
+            while (ready.length && performance.now() < deadline);
+          }
+        } finally { committing = null; }
+      })();
+      committing.catch(() => {});
+    };
+    try {
+      for await (const item of source) {
+        if (!count) {
+          DataTemplate.clear(component);
+          target = DataTemplate.getTargetContext(component);
+        }
+        const pending = DataTemplate.createContext(component, item, binder, target, count++);
+        pending.catch(() => {});
+        binding.push(pending);
+        if (binding.length >= limit) { await commit(); }
+      }
+      while (binding.length) { await commit(); }
+      while (committing) { await committing; }
+    } catch (error) {
+      ready.length = 0;
+      throw error;
+    }
+    if (!count) { DataTemplate.clear(component); }
+    return count;
+  }
+  /**
+   * @async
+   * @static
+   * @generator
+   * @method readStream
+   * @description Reads the items of a ReadableStream. Text and byte chunks are parsed as newline-delimited JSON, other chunks are items themselves.
+   * @param {ReadableStream} stream - The stream to read.
+   * @param {AbortSignal | null} signal - An optional signal cancelling the stream.
+   * @yields {any} The items read from the stream.
+   */
+  static async *readStream(stream, signal = null) {
+    const reader = stream.getReader();
+    const cancel = () => { reader.cancel(signal?.reason).catch(() => {}); };
+    signal?.addEventListener('abort', cancel, { once: true });
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let finished = false;
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) { break; }
+        if (typeof value !== 'string' && !ArrayBuffer.isView(value)) {
+          yield value;
+          continue;
+        }
+        buffer += typeof value === 'string' ? value : decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop() ?? '';
+        for (const line of lines) { if (line.trim()) { yield JSON.parse(line); } }
+      }
+      finished = true;
+      signal?.throwIfAborted();
+      buffer += decoder.decode();
+      if (buffer.trim()) { yield JSON.parse(buffer); }
+    } finally {
+      signal?.removeEventListener('abort', cancel);
+      if (!finished) { cancel(); }
+      reader.releaseLock();
+    }
+  }
+  /**
+   * @async
+   * @static
+   * @generator
+   * @method fetchData
+   * @description Fetches the items of a JSON or NDJSON resource. Responses with an NDJSON or JSON Lines content type or file extension are streamed.
+   * @param {string} url - The url of the data.
+   * @param {AbortSignal | null} signal - An optional signal cancelling the request.
+   * @yields {any} The items of a JSON array, the JSON value itself, or each NDJSON line.
+   * @throws Will throw an error with the response as its cause if the response is not ok.
+   */
+  static async *fetchData(url, signal = null) {
+    const response = await fetch(url, { signal });
+    if (!response.ok) { throw new Error(`Failed to fetch ${url}: ${response.status} ${response.statusText}`, { cause: response }); }
+    const type = response.headers.get('content-type') ?? '';
+    const path = new URL(response.url || url, document.baseURI).pathname;
+    if (response.body && (/ndjson|jsonl/i.test(type) || /\.(ndjson|jsonl)$/i.test(path))) {
+      yield* DataTemplate.readStream(response.body, signal);
+      return;
+    }
+    const data = await response.json();
+    if (Array.isArray(data)) { yield* data; }
+    else if (data != null) { yield data; }
+  }
+  /**
+   * @async
+   * @static
+   * @method load
+   * @description Renders the data at the `src` url with the binder of the last render, dispatching an `error` event if it fails.
+   * Removing the `src` attribute or disconnecting the component cancels a pending load. A disconnected component loads once connected.
+   * @param {DataTemplate} component - The instance of DataTemplate to load.
+   */
+  static async load(component) {
+    const src = component.src;
+    component.#loadedSrc = src;
+    if (!src) { return DataTemplate.abort(component); }
+    const request = component.#loading = new AbortController();
+    const rendering = component.render(DataTemplate.fetchData(src, request.signal), component.#binder);
+    component.#controller?.signal.addEventListener('abort', () => request.abort(), { once: true });
+    try { await rendering; }
+    catch (error) {
+      if (request.signal.aborted) { return; }
+      const response = error instanceof Error && error.cause instanceof Response ? error.cause : null;
+      component.dispatchEvent(new CustomEvent('error', { detail: { error, response } }));
+    } finally {
+      if (component.#loading === request) { component.#loading = null; }
+    }
+  }
+  /**
+   * @static
+   * @method abort
+   * @description Cancels the render in progress so its content never reaches the DOM. Content already rendered is kept.
+   * @param {DataTemplate} component - The instance of DataTemplate to abort.
+   * @param {any} reason - An optional reason passed to the AbortSignal.
+   */
+  static abort(component, reason = undefined) {
+    const controller = component.#controller;
+    if (!controller) { return; }
+    component.#controller = null;
+    controller.abort(reason);
+  }
+  /**
+   * @static
+   * @method abortable
+   * @description Wraps a promise so it rejects as soon as the signal is aborted.
+   * @template T
+   * @param {Promise<T>} promise - The promise to wrap.
+   * @param {AbortSignal | null} signal - The signal to observe.
+   * @returns {Promise<T>} A promise settling with the original or rejecting with the abort reason.
+   */
+  static abortable(promise, signal) {
+    if (!signal) { return promise; }
+    return new Promise((resolve, reject) => {
+      if (signal.aborted) { return reject(signal.reason); }
+      const handler = () => reject(signal.reason);
+      signal.addEventListener('abort', handler, { once: true });
+      promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', handler));
+    });
+  }
   /**
    * @static
    * @method clear
@@ -65,23 +1075,108 @@ class DataTemplate extends HTMLElement {
    * @param {DataTemplate} component - The instance of DataTemplate to clear.
    */
   static clear(component) {
+    DataTemplate.hidePlaceholder(component);
     DataTemplate.remove(component);
     component.#content = [];
+    if (component.#virtual) {
+      component.#virtual.spacers?.forEach(s => s.remove());
+      component.#virtual = null;
+    }
+    if (component.#sheets.length && component.shadowRoot) {
+      const sheets = component.#sheets;
+      component.shadowRoot.adoptedStyleSheets = component.shadowRoot.adoptedStyleSheets.filter(s => !sheets.includes(s));
+    }
+    component.#sheets = [];
+    component.#globalSheets = null;
+  }
+  /**
+   * @method getTemplates
+   * @description Locates the template elements this DataTemplate is wrapping.
+   * @param {DataTemplate} component - The instance of DataTemplate to locate the templates for.
+   * @returns {HTMLTemplateElement[]} The located template elements.
+   * @throws Will throw an error if there are no child elements or if any child element is not a template.
+   */
+  static getTemplates(component) {
+    const children = [...component.childNodes].filter(n => n instanceof Element);
+    if (!children.length) { throw new Error('DataTemplate requires a child <template> element.'); }
+    if (children.some(c => !(c instanceof HTMLTemplateElement))) { throw new Error('DataTemplate children must be <template> elements.'); }
+    return /** @type {HTMLTemplateElement[]} */(children);
   }
   /**
    * @method getTemplate
-   * @description Locations the template element this DataTemplate is wrapping.
+   * @description Locates the default template element this DataTemplate is wrapping.
    * @param {DataTemplate} component - The instance of DataTemplate to locate the template for.
    * @returns {HTMLTemplateElement} The located template element.
-   * @throws Will throw an error if there is not exactly one child element or if that element is not a template.
+   * @throws Will throw an error if there is no &lt;template&gt; without a `type`, `when` or `slot` attribute.
    */
   static getTemplate(component) {
-    const children = [...component.childNodes].filter(n => n instanceof Element);
-    if (children.length !== 1) { throw new Error('DataTemplate requires exactly one child element.'); }
-    const template = /** @type {HTMLTemplateElement} */(children[0]);
-    if (!(template instanceof HTMLTemplateElement)) { throw new Error('DataTemplate child must be a <template> element.'); }
+    const template = DataTemplate.getTemplates(component)
+      .find(t => !t.hasAttribute('type') && !t.hasAttribute('when') && !t.hasAttribute('slot'));
+    if (!template) { throw new Error('DataTemplate requires a <template> without a type, when or slot attribute.'); }
     return template;
   }
+  /**
+   * @method selectTemplate
+   * @description Selects the template for a data item: by the `templateSelector`, then the first &lt;template when&gt; whose path is truthy,
+   * then the &lt;template type&gt; matching the item's `type` property, then the default template.
+   * @param {DataTemplate} component - The instance of DataTemplate to select the template for.
+   * @param {any} item - The data item.
+   * @param {number} index - The index of the item within the dataset.
+   * @returns {HTMLTemplateElement} The selected template element.
+   * @throws Will throw an error if no template matches.
+   */
+  static selectTemplate(component, item, index) {
+    const templates = DataTemplate.getTemplates(component).filter(t => !t.hasAttribute('slot'));
+    const selected = component.#templateSelector?.(item, index);
+    if (selected instanceof HTMLTemplateElement) { return selected; }
+    const type = selected ?? item?.type;
+    return (selected == null ? templates.find(t => t.hasAttribute('when') && DataTemplate.resolve(item, t.getAttribute('when') ?? '')) : null)
+      ?? templates.find(t => type != null && t.getAttribute('type') === String(type))
+      ?? DataTemplate.getTemplate(component);
+  }
+  /**
+   * @method showPlaceholder
+   * @description Shows the content of a &lt;template slot="empty|loading|error"&gt; in place of rendered content.
+   * @param {DataTemplate} component - The instance of DataTemplate to show the placeholder for.
+   * @param {'empty' | 'loading' | 'error'} slot - The slot name of the template to show.
+   * @param {any} data - Data bound to the placeholder with the declarative bindings, such as the error.
+   */
+  static showPlaceholder(component, slot, data = undefined) {
+    DataTemplate.hidePlaceholder(component);
+    const template = DataTemplate.getTemplates(component).find(t => t.getAttribute('slot') === slot);
+    if (!template) { return; }
+    const context = document.importNode(template.content, true);
+    DataTemplate.bind(component, data, context)
+      .catch(error => console.error(`Error binding placeholder: ${error}`, error));
+    /** @type {any} */(context)[DataTemplate.#NODES] = [...context.childNodes];
+    for (const node of context.childNodes) { DataTemplate.#OWNERS.set(node, component); }
+    /** @type {any} */(context)[DataTemplate.#TEMPLATE] = template;
+    component.#placeholder = context;
+    if (component.isConnected) { DataTemplate.insert(component, context); }
+  }
+  /**
+   * @method hidePlaceholder
+   * @description Removes any empty, loading or error placeholder content.
+   * @param {DataTemplate} component - The instance of DataTemplate to hide the placeholder for.
+   */
+  static hidePlaceholder(component) {
+    const context = component.#placeholder;
+    if (!context) { return; }
+    component.#placeholder = null;
+    for (const node of /** @type {Node[]} */(/** @type {any} */(context)[DataTemplate.#NODES])) { context.appendChild(node); }
+    context.dispatchEvent(new CustomEvent('detach'));
+  }
+  /**
+   * @method syncEmpty
+   * @description Shows the `empty` placeholder when there is nothing rendered, and hides it otherwise.
+   * @param {DataTemplate} component - The instance of DataTemplate to synchronize.
+   */
+  static syncEmpty(component) {
+    const empty = component.#virtual ? !component.#virtual.data.length : !component.#content.length;
+    const showing = /** @type {any} */(component.#placeholder)?.[DataTemplate.#TEMPLATE]?.getAttribute('slot') === 'empty';
+    if (empty && !showing) { DataTemplate.showPlaceholder(component, 'empty'); }
+    else if (!empty && showing) { DataTemplate.hidePlaceholder(component); }
+  }
   /**
    * @method getTargetContext
    * @description Locates the target context element for content insertion based on the `target` attribute.
@@ -100,18 +1195,113 @@ class DataTemplate extends HTMLElement {
     }
     return null;
   }
+  /**
+   * @async
+   * @static
+   * @method adoptStyles
+   * @description Replaces &lt;style&gt; and same-origin stylesheet &lt;link&gt; elements in the content with shared constructable stylesheets adopted by the root.
+   * The document's stylesheets for `global-styles` are adopted separately, once per render and target.
+   * @param {DataTemplate} component - The instance of DataTemplate to adopt styles for.
+   * @param {DocumentFragment} content - The content to take stylesheets from. Adopted elements are removed from it.
+   * @param {ShadowRoot} root - The shadow root to adopt the stylesheets into.
+   * @returns {Promise<CSSStyleSheet[]>} The stylesheets newly adopted by the root.
+   */
+  static async adoptStyles(component, content, root) {
+    /** @type {CSSStyleSheet[]} */
+    const sheets = [];
+    for (const element of [...content.querySelectorAll('style, link[rel~="stylesheet"][href]')]) {
+      const media = element.getAttribute('media') ?? '';
+      try {
+        if (element instanceof HTMLLinkElement) {
+          const url = new URL(element.href, location.href);
+          if (url.origin !== location.origin) { continue; }
+          sheets.push(await DataTemplate.getStyleSheet(`${media}|${url.href}`, media, async () => {
+            const response = await fetch(url);
+            if (!response.ok) { throw new Error(`Failed to fetch ${url}: ${response.status} ${response.statusText}`, { cause: response }); }
+            return response.text();
+          }));
+        } else {
+          const text = element.textContent ?? '';
+          sheets.push(await DataTemplate.getStyleSheet(`${media}|${text}`, media, async () => text));
+        }
+        element.remove();
+      } catch (error) { console.error(`Error adopting template stylesheet: ${error}`, error); }
+    }
+    return DataTemplate.#adopt(root, sheets);
+  }
+  /**
+   * @static
+   * @method #adopt
+   * @description Adds stylesheets to a root's adopted stylesheets, skipping those already adopted.
+   * @param {ShadowRoot} root - The shadow root to adopt the stylesheets into.
+   * @param {CSSStyleSheet[]} sheets - The stylesheets to adopt.
+   * @returns {CSSStyleSheet[]} The stylesheets newly adopted by the root.
+   */
+  static #adopt(root, sheets) {
+    const adopted = sheets.filter((s, i) => sheets.indexOf(s) === i && !root.adoptedStyleSheets.includes(s));
+    root.adoptedStyleSheets = [...root.adoptedStyleSheets, ...adopted];
+    return adopted;
+  }
+  /**
+   * @async
+   * @static
+   * @method getDocumentStyleSheets
+   * @description Converts the document's accessible stylesheets into shared constructable stylesheets.
+   * @returns {Promise<CSSStyleSheet[]>} The document's stylesheets in order. Cross-origin stylesheets are skipped.
+   */
+  static async getDocumentStyleSheets() {
+    const sheets = [];
+    for (const sheet of [...document.styleSheets]) {
+      let text;
+      try { text = [...sheet.cssRules].map(r => r.cssText).join('\n'); }
+      catch { continue; }
+      const media = sheet.media.mediaText;
+      sheets.push(await DataTemplate.getStyleSheet(`${media}|${text}`, media, async () => text));
+    }
+    return [...sheets, ...document.adoptedStyleSheets];
+  }
+  /**
+   * @async
+   * @static
+   * @method getStyleSheet
+   * @description Returns a shared constructable stylesheet, creating it once per key.
+   * @param {string} key - The key identifying the stylesheet, typically its media and URL or content.
+   * @param {string} media - The media query the stylesheet applies to.
+   * @param {() => Promise<string>} load - Loads the stylesheet text when it is not yet cached.
+   * @returns {Promise<CSSStyleSheet>} The shared stylesheet.
+   */
+  static async getStyleSheet(key, media, load) {
+    let sheet = DataTemplate.#SHEETS.get(key);
+    if (!sheet) {
+      const pending = sheet = (async () => {
+        const created = new CSSStyleSheet({ media });
+        return created.replace(await load());
+      })();
+      DataTemplate.#SHEETS.set(key, pending);
+      pending.catch(() => {
+        if (DataTemplate.#SHEETS.get(key) === pending) { DataTemplate.#SHEETS.delete(key); }
+      });
+    }
+    return sheet;
+  }
   /**
    * @static
    * @method insert
    * @description Inserts the rendered content into the DOM.
    * @param {DataTemplate} component - The instance of DataTemplate to insert into.
    * @param {DocumentFragment | null} context - An optional context to insert. If not provided, will insert all existing content.
-   * @param {Node | null} target - An optional target node for insertion. If not provided, will determine based on component.target.
+   * @param {Node | null | undefined} target - An optional target node for insertion. If not provided, will determine based on component.target.
+   * @returns {Promise<void> | undefined} The refresh of the visible instances when inserting virtual content.
    */
-  static insert(component, context = null, target = null) {
-    const fragments = context ? [context] : [...component.#content];
+  static insert(component, context = null, target = undefined) {
+    if (!context && component.#virtual) {
+      const refreshing = DataTemplate.#refreshReported(component);
+      if (component.#placeholder) { DataTemplate.insert(component, component.#placeholder, target); }
+      return refreshing;
+    }
+    const fragments = context ? [context] : [...component.#content, ...(component.#placeholder ? [component.#placeholder] : [])];
+    if (target === undefined) { target = DataTemplate.getTargetContext(component); }
     for (const frag of fragments) {
-      target ??= DataTemplate.getTargetContext(component);
       switch(component.target) {
         case 'shadow':
           target?.appendChild(frag);
@@ -136,12 +1326,484 @@ class DataTemplate extends HTMLElement {
    * @param {DataTemplate} component - The instance of DataTemplate to remove from.
    */
   static remove(component) {
-    for (const entry of component.#content) {
+    for (const entry of [...component.#content, ...(component.#placeholder ? [component.#placeholder] : [])]) {
       const nodes = /** @type {Node[]} */(/** @type {any} */(entry)[DataTemplate.#NODES] ?? []);
       for (const node of nodes) { entry.appendChild(node); }
       entry.dispatchEvent(new CustomEvent('detach'));
     }
+    const state = component.#virtual;
+    if (!state) { return; }
+    cancelAnimationFrame(state.frame);
+    state.frame = 0;
+    document.removeEventListener('scroll', state.listener, { capture: true });
+    window.removeEventListener('resize', state.listener);
+    state.observer?.disconnect();
+    state.observer = null;
+    state.container = null;
+    state.spacers?.forEach(s => s.remove());
+  }
+  /**
+   * @static
+   * @method getRenderedContent
+   * @description Locates the server rendered elements marked with `data-rendered` at the component's target:
+   * its contiguous following siblings for 'after', preceding siblings for 'before', or the children of the shadow root or target element.
+   * @param {DataTemplate} component - The instance of DataTemplate to locate the rendered content for.
+   * @returns {Element[]} The rendered elements in order.
+   */
+  static getRenderedContent(component) {
+    const rendered = (/** @type {Node} */ node) => node instanceof Element && node.hasAttribute('data-rendered');
+    const skipped = (/** @type {Node} */ node) => node.nodeType === Node.COMMENT_NODE || (node.nodeType === Node.TEXT_NODE && !node.textContent?.trim());
+    if (component.target === 'before' || component.target === 'after') {
+      const next = component.target === 'after' ? 'nextSibling' : 'previousSibling';
+      const elements = /** @type {Element[]} */([]);
+      for (let node = component[next]; node && (rendered(node) || skipped(node)); node = node[next]) {
+        if (rendered(node)) { elements.push(/** @type {Element} */(node)); }
+      }
+      return next === 'nextSibling' ? elements : elements.reverse();
+    }
+    const target = DataTemplate.getTargetContext(component);
+    return target ? /** @type {Element[]} */([...target.childNodes].filter(rendered)) : [];
+  }
+  /**
+   * @static
+   * @method hydrateContent
+   * @description Adopts server rendered elements as the rendered items so they can be cleared, removed, reconciled and serialized.
+   * Each element marked with `data-rendered` becomes one item, whose data is the attribute's JSON value.
+   * Dispatches `attach` from each context and a `rendered` event from the component.
+   * @param {DataTemplate} component - The instance of DataTemplate to hydrate.
+   * @returns {boolean} True if rendered content was adopted. Nothing is adopted when the component already has content or is virtual.
+   */
+  static hydrateContent(component) {
+    if (component.#content.length || component.#placeholder || component.#virtual) { return false; }
+    const start = performance.now();
+    const elements = DataTemplate.getRenderedContent(component);
+    if (!elements.length) { return false; }
+    const name = component.key;
+    component.#key = name ? (/** @type {any} */ item) => item?.[name] : null;
+    component.#content = elements.map((element, index) => {
+      let item;
+      try { item = JSON.parse(element.getAttribute('data-rendered') || 'null') ?? undefined; }
+      catch (error) { console.error(`Error parsing rendered item data: ${error}`, error); }
+      const context = document.createDocumentFragment();
+      /** @type {any} */(context)[DataTemplate.#NODES] = [element];
+      /** @type {any} */(context)[DataTemplate.#ITEM] = item;
+      /** @type {any} */(context)[DataTemplate.#TEMPLATE] = DataTemplate.selectTemplate(component, item, index);
+      if (component.#key) { /** @type {any} */(context)[DataTemplate.#KEY] = component.#key(item, index); }
+      DataTemplate.#OWNERS.set(element, component);
+      DataTemplate.bindInputs(component, context);
+      return context;
+    });
+    for (const context of component.#content) { context.dispatchEvent(new CustomEvent('attach')); }
+    const stats = { count: component.#content.length, duration: performance.now() - start };
+    component.dispatchEvent(new CustomEvent('rendered', { detail: stats, bubbles: true, composed: true }));
+    return true;
+  }
+  /**
+   * @static
+   * @method renderToString
+   * @description Renders template markup with the declarative bindings for each data item without a DOM, e.g. on a server.
+   * The first element of each instance is marked with `data-rendered` holding the item as JSON, so a `hydrate` DataTemplate can adopt it.
+   * Nested `<data-template data-each>` elements are marked `hydrate` and their items rendered after them, before them, or into a declarative shadow root by their `target`.
+   * `data-on-*` bindings are left for the client.
+   * @param {string} template - The markup of the template's content. Expected to be well-formed, with a single root element.
+   * @param {any} data - The data to render. If this is an array, each item will be rendered.
+   * @returns {string} The rendered markup.
+   */
+  static renderToString(template, data) {
+    const items = data == null ? [] : Array.isArray(data) ? data : [data];
+    return items.map(item => {
+      const nodes = DataTemplate.parseMarkup(template);
+      DataTemplate.bindMarkup(nodes, item);
+      const root = nodes.find(n => typeof n !== 'string');
+      if (root) { DataTemplate.setMarkupAttribute(/** @type {MarkupElement} */(root), 'data-rendered', JSON.stringify(item) ?? ''); }
+      return DataTemplate.serializeMarkup(nodes);
+    }).join('');
+  }
+  /**
+   * @static
+   * @method parseMarkup
+   * @description Parses HTML into a light node tree without a DOM. Text, comments and attribute values are kept escaped as written.
+   * @param {string} html - The markup to parse. Unclosed elements are closed by the closing tag of an ancestor.
+   * @returns {MarkupNode[]} The top-level nodes.
+   */
+  static parseMarkup(html) {
+    /** @type {MarkupElement} */
+    const root = { name: '', attributes: [], children: [] };
+    const stack = [root];
+    const tags = /<!--[\s\S]*?-->|<![^>]*>|<\/([a-zA-Z][^\s/>]*)\s*>|<([a-zA-Z][^\s/>]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/g;
+    let index = 0;
+    for (let match = tags.exec(html); match; match = tags.exec(html)) {
+      const parent = stack[stack.length - 1];
+      if (match.index > index) { parent.children.push(html.slice(index, match.index)); }
+      index = tags.lastIndex;
+      const [token, closing, opening, attributes, selfClosing] = match;
+      if (closing) {
+        const at = stack.findLastIndex(e => e.name === closing.toLowerCase());
+        if (at > 0) { stack.length = at; }
+        continue;
+      }
+      if (!opening) {
+        parent.children.push(token);
+        continue;
+      }
+      /** @type {MarkupElement} */
+      const element = { name: opening.toLowerCase(), attributes: [], children: [] };
+      for (const [, name, double, single, unquoted] of attributes.matchAll(/([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g)) {
+        element.attributes.push([name.toLowerCase(), double ?? single?.replace(/"/g, '&quot;') ?? unquoted ?? null]);
+      }
+      parent.children.push(element);
+      if (DataTemplate.#RAW.has(element.name)) {
+        const end = html.toLowerCase().indexOf(`</${element.name}`, index);
+        const stop = end < 0 ? html.length : end;
+        if (stop > index) { element.children.push(html.slice(index, stop)); }
+        tags.lastIndex = index = stop;
+      } else if (!selfClosing && !DataTemplate.#VOID.has(element.name)) { stack.push(element); }
+    }
+    if (index < html.length) { stack[stack.length - 1].children.push(html.slice(index)); }
+    return root.children;
+  }
+  /**
+   * @static
+   * @method bindMarkup
+   * @description Applies the declarative bindings to parsed markup, as `bind` does to a template instance.
+   * Values are escaped, `data-attr-on*` and `data-attr-srcdoc` bindings are ignored and `javascript:` values are not assigned.
+   * @param {MarkupNode[]} nodes - The parsed nodes to bind. Nested data-template items are inserted among them.
+   * @param {any} item - The data item to bind.
+   */
+  static bindMarkup(nodes, item) {
+    const escape = (/** @type {any} */ value) => String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    for (let i = 0; i < nodes.length; i++) {
+      const element = nodes[i];
+      if (typeof element === 'string') { continue; }
+      for (const [name] of [...element.attributes]) {
+        const path = DataTemplate.getMarkupAttribute(element, name) ?? '';
+        if (name === 'data-text') {
+          element.children = [escape(DataTemplate.resolve(item, path))];
+        } else if (name === 'data-value') {
+          DataTemplate.writeMarkupControl(element, DataTemplate.resolve(item, path));
+        } else if (name.startsWith('data-attr-')) {
+          const attribute = name.slice('data-attr-'.length);
+          const value = DataTemplate.resolve(item, path);
+          if (attribute.startsWith('on') || attribute === 'srcdoc') { continue; }
+          const text = value === true ? '' : String(value);
+          const blocked = value == null || value === false || /^javascript:/i.test(text.replace(/[\u0000-\u0020]/g, ''));
+          DataTemplate.setMarkupAttribute(element, attribute, blocked ? null : text);
+        } else if (name.startsWith('data-class-')) {
+          const names = (DataTemplate.getMarkupAttribute(element, 'class') ?? '').split(/\s+/g).filter(n => n);
+          const token = name.slice('data-class-'.length);
+          const classes = DataTemplate.resolve(item, path) ? [...new Set([...names, token])] : names.filter(n => n !== token);
+          DataTemplate.setMarkupAttribute(element, 'class', classes.join(' '));
+        }
+      }
+      if (element.name === 'template') { continue; }
+      if (element.name !== 'data-template') {
+        DataTemplate.bindMarkup(element.children, item);
+        continue;
+      }
+      const each = DataTemplate.getMarkupAttribute(element, 'data-each');
+      const template = element.children.find(c => typeof c !== 'string' && c.name === 'template'
+        && !c.attributes.some(([n]) => n === 'type' || n === 'when' || n === 'slot'));
+      if (each == null || typeof template !== 'object') { continue; }
+      const markup = DataTemplate.renderToString(DataTemplate.serializeMarkup(template.children), DataTemplate.resolve(item, each));
+      DataTemplate.setMarkupAttribute(element, 'hydrate', '');
+      const target = DataTemplate.getMarkupAttribute(element, 'target') ?? 'after';
+      if (target === 'shadow') { element.children.unshift(`<template shadowrootmode="open">${markup}</template>`); }
+      else if (target === 'before') { nodes.splice(i++, 0, markup); }
+      else if (target === 'after') { nodes.splice(++i, 0, markup); }
+    }
+  }
+  /**
+   * @static
+   * @method writeMarkupControl
+   * @description Assigns a bound value to a parsed form control, as `writeControl` does to a form control.
+   * @param {MarkupElement} element - The parsed element to assign to.
+   * @param {any} value - The bound value.
+   */
+  static writeMarkupControl(element, value) {
+    if (element.name === 'select') {
+      const values = (Array.isArray(value) ? value : [value]).map(v => String(v ?? ''));
+      const multiple = DataTemplate.getMarkupAttribute(element, 'multiple') != null;
+      let selected = false;
+      /** @param {MarkupNode[]} nodes */
+      const select = nodes => {
+        for (const option of nodes) {
+          if (typeof option === 'string') { continue; }
+          if (option.name === 'optgroup') { select(option.children); }
+          if (option.name !== 'option') { continue; }
+          const text = option.children.filter(c => typeof c === 'string').join('').trim();
+          const match = (multiple || !selected) && values.includes(DataTemplate.getMarkupAttribute(option, 'value') ?? text);
+          selected ||= match;
+          DataTemplate.setMarkupAttribute(option, 'selected', match ? '' : null);
+        }
+      };
+      select(element.children);
+    } else if (element.name === 'textarea') {
+      element.children = [String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;')];
+    } else if (element.name === 'input') {
+      const type = DataTemplate.getMarkupAttribute(element, 'type')?.toLowerCase();
+      if (type === 'checkbox') { DataTemplate.setMarkupAttribute(element, 'checked', value ? '' : null); }
+      else if (type === 'radio') {
+        const checked = value != null && String(value) === (DataTemplate.getMarkupAttribute(element, 'value') ?? 'on');
+        DataTemplate.setMarkupAttribute(element, 'checked', checked ? '' : null);
+      }
+      else { DataTemplate.setMarkupAttribute(element, 'value', value == null ? '' : String(value)); }
+    }
+  }
+  /**
+   * @static
+   * @method getMarkupAttribute
+   * @description Reads an attribute of a parsed element, unescaping character references.
+   * @param {MarkupElement} element - The parsed element.
+   * @param {string} name - The lower-case attribute name.
+   * @returns {string | null} The attribute value, an empty string for attributes without a value, or null if not present.
+   */
+  static getMarkupAttribute(element, name) {
+    const attribute = element.attributes.find(([n]) => n === name);
+    if (!attribute) { return null; }
+    /** @type {{[name: string]: string}} */
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+    return (attribute[1] ?? '').replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (text, ref) => ref[0] !== '#'
+      ? named[ref.toLowerCase()]
+      : String.fromCodePoint(parseInt(ref.slice(ref[1] === 'x' || ref[1] === 'X' ? 2 : 1), ref[1] === 'x' || ref[1] === 'X' ? 16 : 10)));
+  }
+  /**
+   * @static
+   * @method setMarkupAttribute
+   * @description Assigns or removes an attribute of a parsed element, escaping the value.
+   * @param {MarkupElement} element - The parsed element.
+   * @param {string} name - The lower-case attribute name.
+   * @param {string | null} value - The attribute value, or null to remove the attribute.
+   */
+  static setMarkupAttribute(element, name, value) {
+    const index = element.attributes.findIndex(([n]) => n === name);
+    if (value == null) {
+      if (index >= 0) { element.attributes.splice(index, 1); }
+      return;
+    }
+    const escaped = value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+    if (index >= 0) { element.attributes[index][1] = escaped; }
+    else { element.attributes.push([name, escaped]); }
+  }
+  /**
+   * @static
+   * @method serializeMarkup
+   * @description Serializes parsed nodes back into HTML.
+   * @param {MarkupNode[]} nodes - The parsed nodes.
+   * @returns {string} The markup.
+   */
+  static serializeMarkup(nodes) {
+    return nodes.map(node => {
+      if (typeof node === 'string') { return node; }
+      const attributes = node.attributes.map(([name, value]) => value == null ? ` ${name}` : ` ${name}="${value}"`).join('');
+      return DataTemplate.#VOID.has(node.name)
+        ? `<${node.name}${attributes}>`
+        : `<${node.name}${attributes}>${DataTemplate.serializeMarkup(node.children)}</${node.name}>`;
+    }).join('');
+  }
+  /**
+   * @static
+   * @method assertNotVirtual
+   * @description Guards list operations that are unavailable in virtual mode.
+   * @param {DataTemplate} component - The instance of DataTemplate to check.
+   * @throws Will throw an error if the component is rendering in virtual mode.
+   */
+  static assertNotVirtual(component) {
+    if (component.#virtual) { throw new Error('DataTemplate list operations are not available in virtual mode.'); }
+  }
+  /**
+   * @static
+   * @method scheduleRefresh
+   * @description Schedules a virtual refresh for the next animation frame.
+   * @param {DataTemplate} component - The instance of DataTemplate to refresh.
+   */
+  static scheduleRefresh(component) {
+    const state = component.#virtual;
+    if (!state || state.frame) { return; }
+    state.frame = requestAnimationFrame(() => {
+      state.frame = 0;
+      DataTemplate.#refreshReported(component);
+    });
+  }
+  /**
+   * @async
+   * @static
+   * @method #refreshReported
+   * @description Refreshes virtual content outside of a render, logging failures and dispatching them as an `error` event.
+   * @param {DataTemplate} component - The instance of DataTemplate to refresh.
+   */
+  static async #refreshReported(component) {
+    try { await DataTemplate.refresh(component); }
+    catch (error) {
+      console.error(`Error refreshing virtual content: ${error}`, error);
+      component.dispatchEvent(new CustomEvent('error', { detail: { error, response: null } }));
+    }
+  }
+  /**
+   * @async
+   * @static
+   * @method refresh
+   * @description Mounts the instances visible within the scroll container in virtual mode, recycling those scrolled out of view.
+   * @param {DataTemplate} component - The instance of DataTemplate to refresh.
+   */
+  static async refresh(component) {
+    const state = component.#virtual;
+    if (!state) { return; }
+    if (state.busy) {
+      state.queued = true;
+      return state.busy;
+    }
+    state.busy = (async () => {
+      let passes = 0;
+      do {
+        state.queued = false;
+        const remeasure = await DataTemplate.mountVisible(component, state);
+        if (remeasure && ++passes < 3) { state.queued = true; }
+      } while (state.queued && component.#virtual === state);
+    })();
+    try { await state.busy; }
+    finally { state.busy = null; }
+  }
+  /**
+   * @async
+   * @static
+   * @method mountVisible
+   * @description Performs a single virtual refresh pass.
+   * @param {DataTemplate} component - The instance of DataTemplate to refresh.
+   * @param {VirtualState} state - The virtual state to refresh.
+   * @returns {Promise<boolean>} True if measured heights changed and another pass is needed.
+   */
+  static async mountVisible(component, state) {
+    if (!component.isConnected) { return false; }
+    const target = DataTemplate.getTargetContext(component);
+    const parent = component.target === 'before' || component.target === 'after' ? component.parentNode : target;
+    if (!parent) { return false; }
+    if (!state.spacers) {
+      const template = DataTemplate.getTemplate(component);
+      const tag = template.content.firstElementChild?.localName ?? 'div';
+      state.spacers = [document.createElement(tag), document.createElement(tag)];
+      for (const spacer of state.spacers) {
+        spacer.setAttribute('aria-hidden', 'true');
+        spacer.style.cssText = 'margin: 0; padding: 0; border: 0; height: 0; visibility: hidden;';
+      }
+    }
+    const [top, bottom] = state.spacers;
+    if (top.parentNode !== parent) {
+      const reference = component.target === 'before' ? component : component.target === 'after' ? component.nextSibling : null;
+      parent.insertBefore(top, reference);
+      parent.insertBefore(bottom, reference);
+    }
+    const container = parent instanceof ShadowRoot ? parent.host : /** @type {Element} */(parent);
+    if (state.container !== container) {
+      state.observer?.disconnect();
+      state.container = container;
+      state.observer = new ResizeObserver(state.listener);
+      state.observer.observe(container);
+      document.addEventListener('scroll', state.listener, { capture: true, passive: true });
+      window.addEventListener('resize', state.listener);
+    }
+    const offsets = DataTemplate.getOffsets(component, state);
+    const view = DataTemplate.getViewport(container);
+    const origin = top.getBoundingClientRect().top;
+    const overscan = component.overscan;
+    const first = DataTemplate.findOffset(offsets, view.top - origin);
+    const last = DataTemplate.findOffset(offsets, view.bottom - origin);
+    const start = Math.max(0, first - overscan);
+    const end = Math.min(state.data.length, last + 1 + overscan);
+    const pool = /** @type {DocumentFragment[]} */([]);
+    for (const [index, context] of [...state.mounted]) {
+      if (index >= start && index < end) { continue; }
+      for (const node of /** @type {Node[]} */(/** @type {any} */(context)[DataTemplate.#NODES])) { context.appendChild(node); }
+      context.dispatchEvent(new CustomEvent('detach'));
+      state.mounted.delete(index);
+      pool.push(context);
+    }
+    for (let index = start; index < end; index++) {
+      if (state.mounted.has(index)) { continue; }
+      const item = state.data[index];
+      const template = DataTemplate.selectTemplate(component, item, index);
+      const pooled = pool.findIndex(c => /** @type {any} */(c)[DataTemplate.#TEMPLATE] === template);
+      const recycled = pooled < 0 ? undefined : pool.splice(pooled, 1)[0];
+      if (recycled) { await DataTemplate.rebind(component, recycled, item, state.binder); }
+      const context = recycled ?? await DataTemplate.createContext(component, item, state.binder, target, index);
+      if (component.#virtual !== state) { return false; }
+      state.mounted.set(index, context);
+    }
+    const indexes = [...state.mounted.keys()].sort((a, b) => a - b);
+    component.#content = indexes.map(i => /** @type {DocumentFragment} */(state.mounted.get(i)));
+    const placed = component.#content.filter(c => /** @type {Node[]} */(/** @type {any} */(c)[DataTemplate.#NODES]).some(n => n.parentNode !== parent));
+    /** @type {Node} */
+    let reference = bottom;
+    for (const context of [...component.#content].reverse()) {
+      for (const node of [.../** @type {Node[]} */(/** @type {any} */(context)[DataTemplate.#NODES])].reverse()) {
+        if (node.parentNode !== parent || node.nextSibling !== reference) { parent.insertBefore(node, reference); }
+        reference = node;
+      }
+    }
+    const mountedStart = indexes[0] ?? start;
+    const mountedEnd = (indexes[indexes.length - 1] ?? start - 1) + 1;
+    top.style.height = `${offsets[mountedStart]}px`;
+    bottom.style.height = `${offsets[offsets.length - 1] - offsets[mountedEnd]}px`;
+    for (const context of placed) { context.dispatchEvent(new CustomEvent('attach')); }
+    if (component.itemHeight) { return false; }
+    let changed = false;
+    for (const index of indexes) {
+      const nodes = /** @type {Node[]} */(/** @type {any} */(state.mounted.get(index))[DataTemplate.#NODES]);
+      const height = nodes.reduce((sum, n) => sum + (n instanceof Element ? n.getBoundingClientRect().height : 0), 0);
+      if (height && Math.abs((state.heights[index] ?? -1) - height) > 0.5) {
+        state.heights[index] = height;
+        changed = true;
+      }
+    }
+    return changed;
+  }
+  /**
+   * @static
+   * @method getOffsets
+   * @description Calculates the top offset of each item in virtual mode using fixed, measured or estimated heights.
+   * @param {DataTemplate} component - The instance of DataTemplate to calculate for.
+   * @param {VirtualState} state - The virtual state to calculate for.
+   * @returns {number[]} The offset of each item, followed by the total height.
+   */
+  static getOffsets(component, state) {
+    const fixed = component.itemHeight;
+    const measured = state.heights.filter(h => h != null);
+    const estimate = fixed || (measured.length ? measured.reduce((a, b) => a + b, 0) / measured.length : 20);
+    const offsets = [0];
+    for (let index = 0; index < state.data.length; index++) {
+      offsets.push(offsets[index] + (fixed || (state.heights[index] ?? estimate)));
+    }
+    return offsets;
+  }
+  /**
+   * @static
+   * @method findOffset
+   * @description Finds the index of the item containing an offset.
+   * @param {number[]} offsets - The item offsets followed by the total height.
+   * @param {number} offset - The offset to find.
+   * @returns {number} The index of the item at the offset, clamped to the dataset.
+   */
+  static findOffset(offsets, offset) {
+    let low = 0;
+    let high = offsets.length - 2;
+    while (low < high) {
+      const middle = (low + high + 1) >> 1;
+      if (offsets[middle] <= offset) { low = middle; }
+      else { high = middle - 1; }
+    }
+    return Math.max(0, low);
+  }
+  /**
+   * @static
+   * @method getViewport
+   * @description Calculates the visible area of a scroll container within the window.
+   * @param {Element} container - The scroll container.
+   * @returns {{top: number, bottom: number}} The visible area in client coordinates.
+   */
+  static getViewport(container) {
+    const rect = container.getBoundingClientRect();
+    const top = Math.max(rect.top, 0);
+    return { top, bottom: Math.max(top, Math.min(rect.bottom, window.innerHeight)) };
   }
 }
 export {DataTemplate};
-customElements.define('data-template', DataTemplate);
+globalThis.customElements?.define('data-template', DataTemplate);
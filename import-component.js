@@ -8,11 +8,54 @@ export default
  */
 class ImportComponent extends HTMLElement {
   static #NODES = Symbol('import-nodes');
+  static #HEAD = Symbol('import-head');
+  /** @type {Map<string, Promise<Document>>} */
+  static #CACHE = new Map();
+  /** @type {Map<string, Promise<CSSStyleSheet>>} */
+  static #SHEETS = new Map();
+  /** @type {WeakMap<Element, ImportComponent>} */
+  static #PARENTS = new WeakMap();
+  /** @type {WeakMap<Document, string>} - The final URL each fetched document was served from, after redirects. */
+  static #SOURCES = new WeakMap();
+  /** @type {number} - The default maximum depth of nested imports. */
+  static maxDepth = 16;
+  /** @typedef {{selector: string, attribute: string, type?: 'url' | 'srcset' | 'css' | 'import'}} RerouteRule - Describes a URL-bearing attribute to reroute */
+  /** @type {RerouteRule[]} - The attributes rerouted when `reroute` is set. Push additional rules for custom elements. */
+  static rerouteRules = [
+    { selector: 'link[href], a[href], area[href], base[href], use[href], image[href]', attribute: 'href' },
+    { selector: 'script[src], img[src], iframe[src], source[src], audio[src], video[src], track[src], embed[src], input[src]', attribute: 'src' },
+    { selector: 'img[srcset], source[srcset]', attribute: 'srcset', type: 'srcset' },
+    { selector: 'video[poster]', attribute: 'poster' },
+    { selector: 'form[action]', attribute: 'action' },
+    { selector: 'button[formaction], input[formaction]', attribute: 'formaction' },
+    { selector: 'object[data]', attribute: 'data' },
+    { selector: '[style]', attribute: 'style', type: 'css' },
+    { selector: 'import-component[from]', attribute: 'from', type: 'import' },
+    { selector: 'data-template[src]', attribute: 'src' },
+  ];
+  /** @type {string[] | null} - The origins content and scripts may be imported from. 'self' matches the page origin. Unrestricted when null. */
+  static allowedOrigins = null;
+  /** @type {string[]} - The query-selectors of elements removed by `sanitize`. 'script' is kept when `scripts` is set. SVG animations are removed since they can animate an `href` to a `javascript:` URL. */
+  static sanitizeElements = ['script', 'iframe', 'frame', 'frameset', 'object', 'embed', 'base', 'meta[http-equiv]', 'animate', 'set', 'animateMotion'];
+  /** @type {string[]} - The attributes checked for `javascript:` URLs by `sanitize`. */
+  static sanitizeAttributes = ['href', 'src', 'xlink:href', 'action', 'formaction', 'data', 'poster', 'background', 'cite'];
+  /** @type {string} - The name of the Trusted Types policy used to parse content and create scripts. */
+  static trustedTypesPolicy = 'import-component';
+  /** @type {any} */
+  static #policy = undefined;
   /** @static @readonly @property {string[]} observedAttributes - The static list of attributes this custom element listens to. */
-  static get observedAttributes() { return ['from', 'target', 'reroute', 'scripts']; }
+  static get observedAttributes() { return ['from', 'target', 'reroute', 'scripts', 'select', 'head', 'origins', 'sanitize', 'adopt-styles', 'global-styles']; }
 
   /** @type {DocumentFragment | null} */
   #context = null;
+  /** @type {DocumentFragment | null} */
+  #placeholder = null;
+  /** @type {AbortController | null} */
+  #controller = null;
+  /** @type {CSSStyleSheet[]} */
+  #sheets = [];
+  /** @type {{promise: Promise<ImportComponent>, resolve: (component: ImportComponent) => void, settled: boolean}} */
+  #ready = ImportComponent.#createReady();
 
   /**
    * @property {string} from - The source URL or query-selector referencing a &lt;template&gt; to pull content from.
@@ -30,23 +73,124 @@ class ImportComponent extends HTMLElement {
   get scripts() { return this.hasAttribute('scripts'); }
   set scripts(value) { value ? this.setAttribute('scripts', 'scripts') : this.removeAttribute('scripts'); }
   /**
-   * @property {bool} reroute - Set to reroute script and link elements local to the imported content.
+   * @property {bool} reroute - Set to reroute URLs in the imported content's attributes and CSS to be relative to the source URL.
    */
   get reroute() { return this.hasAttribute('reroute'); }
   set reroute(value) { value ? this.setAttribute('reroute', 'reroute') : this.removeAttribute('reroute'); }
+  /**
+   * @property {string | null} select - A query-selector limiting the imported content to the matched elements. Defaults to the `from` URL's hash.
+   */
+  get select() { return this.getAttribute('select'); }
+  set select(value) { value == null ? this.removeAttribute('select') : this.setAttribute('select', value); }
+  /**
+   * @property {string} head - How the fetched document's &lt;head&gt; is handled: 'include', 'hoist', 'merge', or 'skip'. Defaults to 'include', but head content is skipped when `select` or a `from` hash is in effect and `head` is not set.
+   */
+  get head() { return this.getAttribute('head') || 'include'; }
+  set head(value) { value == null ? this.removeAttribute('head') : this.setAttribute('head', value); }
+  /**
+   * @property {string[] | null} origins - The origins content and scripts may be imported from, overriding `ImportComponent.allowedOrigins`.
+   */
+  get origins() { return this.getAttribute('origins')?.split(/\s+/g).filter(o => o) ?? null; }
+  set origins(value) { value == null ? this.removeAttribute('origins') : this.setAttribute('origins', value.join(' ')); }
+  /**
+   * @property {bool} sanitize - Set to strip inline event handlers, `javascript:` URLs and disallowed elements from the imported content.
+   */
+  get sanitize() { return this.hasAttribute('sanitize'); }
+  set sanitize(value) { value ? this.setAttribute('sanitize', 'sanitize') : this.removeAttribute('sanitize'); }
+  /**
+   * @property {bool} adoptStyles - Set to convert imported stylesheets into shared constructable stylesheets when targeting a shadow root.
+   */
+  get adoptStyles() { return this.hasAttribute('adopt-styles'); }
+  set adoptStyles(value) { value ? this.setAttribute('adopt-styles', 'adopt-styles') : this.removeAttribute('adopt-styles'); }
+  /**
+   * @property {bool} globalStyles - Set to also adopt the document's stylesheets when `adopt-styles` targets a shadow root.
+   */
+  get globalStyles() { return this.hasAttribute('global-styles'); }
+  set globalStyles(value) { value ? this.setAttribute('global-styles', 'global-styles') : this.removeAttribute('global-styles'); }
+  /**
+   * @property {bool} noCache - Set to bypass the shared fragment cache and always fetch fresh content.
+   */
+  get noCache() { return this.hasAttribute('no-cache'); }
+  set noCache(value) { value ? this.setAttribute('no-cache', 'no-cache') : this.removeAttribute('no-cache'); }
+  /**
+   * @property {number} retry - The number of times a failed fetch is retried. Defaults to 0.
+   */
+  get retry() { return Math.max(0, parseInt(this.getAttribute('retry') ?? '') || 0); }
+  set retry(value) { value == null ? this.removeAttribute('retry') : this.setAttribute('retry', String(value)); }
+  /**
+   * @property {number} retryDelay - The delay in milliseconds before the first retry, doubling with each attempt. Defaults to 1000.
+   */
+  get retryDelay() {
+    const delay = parseInt(this.getAttribute('retry-delay') ?? '');
+    return Number.isNaN(delay) ? 1000 : Math.max(0, delay);
+  }
+  set retryDelay(value) { value == null ? this.removeAttribute('retry-delay') : this.setAttribute('retry-delay', String(value)); }
+  /**
+   * @property {string} loading - When to begin importing: 'eager', 'lazy' (once visible), or 'idle' (once the browser is idle). Defaults to 'eager'.
+   */
+  get loading() { return this.getAttribute('loading') || 'eager'; }
+  set loading(value) { value == null ? this.removeAttribute('loading') : this.setAttribute('loading', value); }
+  /**
+   * @property {string} rootMargin - The IntersectionObserver root margin used by 'lazy' loading. Defaults to '0px'.
+   */
+  get rootMargin() { return this.getAttribute('root-margin') || '0px'; }
+  set rootMargin(value) { value == null ? this.removeAttribute('root-margin') : this.setAttribute('root-margin', value); }
+  /**
+   * @property {string | null} when - A media query that must match before importing begins.
+   */
+  get when() { return this.getAttribute('when'); }
+  set when(value) { value == null ? this.removeAttribute('when') : this.setAttribute('when', value); }
+  /**
+   * @property {string | null} transition - If set, imported content is swapped in a view transition. The value names the transition.
+   */
+  get transition() { return this.getAttribute('transition'); }
+  set transition(value) { value == null ? this.removeAttribute('transition') : this.setAttribute('transition', value); }
+  /**
+   * @property {bool} hydrate - Set to adopt existing server rendered content as the imported content instead of importing it when connected.
+   */
+  get hydrate() { return this.hasAttribute('hydrate'); }
+  set hydrate(value) { value ? this.setAttribute('hydrate', 'hydrate') : this.removeAttribute('hydrate'); }
+  /**
+   * @property {number} maxDepth - The maximum depth of nested imports below this one. Defaults to the nearest ancestor's or `ImportComponent.maxDepth`.
+   * @returns {number}
+   */
+  get maxDepth() {
+    /** @type {ImportComponent | undefined} */
+    const limited = [this, ...ImportComponent.getAncestors(this)].find(c => c.hasAttribute('max-depth'));
+    return Math.max(0, parseInt(limited?.getAttribute('max-depth') ?? '') || ImportComponent.maxDepth);
+  }
+  set maxDepth(value) { value == null ? this.removeAttribute('max-depth') : this.setAttribute('max-depth', String(value)); }
+  /**
+   * @readonly
+   * @property {Promise<ImportComponent>} ready - Resolves once this import and all nested imports within its content have settled.
+   * Nested imports still waiting on `loading="lazy"` or an unmatched `when` are not waited for.
+   */
+  get ready() { return this.#ready.promise; }
+  /**
+   * @readonly
+   * @property {string | null} state - The current import state: 'loading', 'loaded', 'failed', or null.
+   */
+  get state() { return this.getAttribute('state'); }
 
-  connectedCallback() { ImportComponent.import(this); }
-  disconnectedCallback() { ImportComponent.clear(this); }
+  /** @type {boolean} - Set while connected, so attributes applied before connecting (e.g. on upgrade) don't import twice. */
+  #connected = false;
+  connectedCallback() {
+    this.#connected = true;
+    ImportComponent.import(this);
+  }
+  disconnectedCallback() {
+    this.#connected = false;
+    ImportComponent.clear(this);
+    ImportComponent.#settle(this);
+  }
   /** @type {number | null} */
   #deferAttributeChange = null;
   attributeChangedCallback(/** @type {string} */ name, /** @type {string | null} */ oldValue, /** @type {string | null} */newValue) {
-    if (oldValue === newValue) { return; }
+    if (oldValue === newValue || !this.#connected) { return; }
     if (ImportComponent.observedAttributes.includes(name)) {
+      ImportComponent.abort(this);
       clearTimeout(/** @type {number} */(this.#deferAttributeChange));
-      this.#deferAttributeChange = setTimeout(() => {
-        ImportComponent.clear(this);
-        ImportComponent.import(this);
-      }, 0);
+      this.#deferAttributeChange = setTimeout(() => ImportComponent.import(this), 0);
     }
   }
 
@@ -57,6 +201,14 @@ class ImportComponent extends HTMLElement {
    * @param {ImportComponent} component - The instance of ImportContent to clear.
    */
   static clear(component) {
+    ImportComponent.abort(component);
+    ImportComponent.hidePlaceholder(component);
+    component.removeAttribute('state');
+    if (component.#sheets.length && component.shadowRoot) {
+      const sheets = component.#sheets;
+      component.shadowRoot.adoptedStyleSheets = component.shadowRoot.adoptedStyleSheets.filter(s => !sheets.includes(s));
+    }
+    component.#sheets = [];
     if (!component.#context) { return; }
     const nodes = /** @type {Node[]} */(/** @type {any} */(component.#context)[ImportComponent.#NODES] ?? []);
     while (nodes.length) { component.#context.appendChild(/** @type {Node} */(nodes.shift())); }
@@ -64,6 +216,67 @@ class ImportComponent extends HTMLElement {
     component.#context.dispatchEvent(new CustomEvent('detach'));
     component.#context = null;
   }
+  /**
+   * @static
+   * @method abort
+   * @description Aborts any pending import so its content never reaches the DOM.
+   * @param {ImportComponent} component - The instance of ImportComponent to abort.
+   * @param {any} reason - An optional reason passed to the AbortSignal and the `abort` event.
+   */
+  static abort(component, reason = undefined) {
+    const controller = component.#controller;
+    if (!controller) { return; }
+    component.#controller = null;
+    controller.abort(reason);
+    component.dispatchEvent(new CustomEvent('abort', { detail: { reason: controller.signal.reason }, bubbles: true, composed: true }));
+  }
+  /**
+   * @static
+   * @method abortable
+   * @description Wraps a promise so it rejects as soon as the signal is aborted.
+   * @template T
+   * @param {Promise<T>} promise - The promise to wrap.
+   * @param {AbortSignal | null} signal - The signal to observe.
+   * @returns {Promise<T>} A promise settling with the original or rejecting with the abort reason.
+   */
+  static abortable(promise, signal) {
+    if (!signal) { return promise; }
+    return new Promise((resolve, reject) => {
+      if (signal.aborted) { return reject(signal.reason); }
+      const handler = () => reject(signal.reason);
+      signal.addEventListener('abort', handler, { once: true });
+      promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', handler));
+    });
+  }
+  /**
+   * @static
+   * @method showPlaceholder
+   * @description Inserts the content of a child &lt;template slot="..."&gt; while the import is pending or has failed.
+   * @param {ImportComponent} component - The instance of ImportComponent to show the placeholder for.
+   * @param {'loading' | 'error'} slot - The slot name of the template to show.
+   */
+  static showPlaceholder(component, slot) {
+    ImportComponent.hidePlaceholder(component);
+    const template = [...component.children]
+      .find(c => c instanceof HTMLTemplateElement && c.getAttribute('slot') === slot);
+    if (!(template instanceof HTMLTemplateElement)) { return; }
+    const placeholder = /** @type {DocumentFragment} */(template.content.cloneNode(true));
+    /** @type {any} */(placeholder)[ImportComponent.#NODES] = [...placeholder.childNodes];
+    component.#placeholder = placeholder;
+    ImportComponent.insertContent(component, placeholder);
+  }
+  /**
+   * @static
+   * @method hidePlaceholder
+   * @description Removes any loading or error placeholder content.
+   * @param {ImportComponent} component - The instance of ImportComponent to hide the placeholder for.
+   */
+  static hidePlaceholder(component) {
+    if (!component.#placeholder) { return; }
+    const nodes = /** @type {Node[]} */(/** @type {any} */(component.#placeholder)[ImportComponent.#NODES] ?? []);
+    for (const node of nodes) { component.#placeholder.appendChild(node); }
+    component.#placeholder = null;
+  }
   /**
    * @method getTargetContext
    * @description Locates the target context element for content insertion based on the `target` attribute.
@@ -83,33 +296,313 @@ class ImportComponent extends HTMLElement {
     }
     return null;
   }
+  /**
+   * @async
+   * @static
+   * @method defer
+   * @description Waits until the `when` media query matches and the `loading` mode allows importing to begin.
+   * @param {ImportComponent} component - The instance of ImportComponent to wait for.
+   * @param {AbortSignal | null} signal - An optional signal that cancels waiting.
+   * @returns {Promise<void>} Resolves once importing may begin.
+   */
+  static async defer(component, signal = null) {
+    const when = component.when;
+    if (when) {
+      await ImportComponent.abortable(new Promise(resolve => {
+        const query = matchMedia(when);
+        if (query.matches) { return resolve(undefined); }
+        const handler = () => {
+          if (!query.matches) { return; }
+          query.removeEventListener('change', handler);
+          resolve(undefined);
+        };
+        query.addEventListener('change', handler);
+        signal?.addEventListener('abort', () => query.removeEventListener('change', handler), { once: true });
+      }), signal);
+    }
+    switch (component.loading) {
+      case 'lazy':
+        await ImportComponent.abortable(new Promise(resolve => {
+          const observer = new IntersectionObserver(entries => {
+            if (!entries.some(e => e.isIntersecting)) { return; }
+            observer.disconnect();
+            resolve(undefined);
+          }, { rootMargin: component.rootMargin });
+          observer.observe(component);
+          signal?.addEventListener('abort', () => observer.disconnect(), { once: true });
+        }), signal);
+        break;
+      case 'idle':
+        await ImportComponent.abortable(new Promise(resolve => {
+          if (!('requestIdleCallback' in window)) { return setTimeout(resolve, 1); }
+          const handle = requestIdleCallback(resolve);
+          signal?.addEventListener('abort', () => cancelIdleCallback(handle), { once: true });
+        }), signal);
+        break;
+    }
+  }
   /**
    * @async
    * @static
    * @method getFromContent
    * @description Retrieves content from the specified source URL or template ID.
+   * The head policy is applied by `import` once the import commits, so an aborted import leaves the document head untouched.
    * @param {ImportComponent} component - The instance of ImportContent to get content for.
+   * @param {AbortSignal | null} signal - An optional signal that cancels fetching and retries.
    * @returns {Promise<DocumentFragment>} The retrieved content as a DocumentFragment.
    */
-  static async getFromContent(component) {
+  static async getFromContent(component, signal = null) {
     try {
       let root = /** @type {ShadowRoot} */(component.getRootNode());
       while (root) {
         const found = root.querySelector(component.from ?? '');
         if (found instanceof HTMLTemplateElement) {
-          return /** @type {DocumentFragment} */(found.content.cloneNode(true));
+          const content = /** @type {DocumentFragment} */(found.content.cloneNode(true));
+          if (component.sanitize) { ImportComponent.sanitizeContent(component, content); }
+          return content;
         }
         root = /** @type {ShadowRoot} */(root.host?.getRootNode());
       }
     } catch { }
-    const html = await (await fetch(component.from)).text();
+    if (!ImportComponent.isAllowedOrigin(component, component.from)) {
+      const url = ImportComponent.#resolveSource(component).href;
+      ImportComponent.reportViolation(component, 'origin', url);
+      throw new Error(`Import from a disallowed origin was blocked: ${url}`);
+    }
+    let doc;
+    for (let attempt = 0; !doc; attempt++) {
+      try { doc = await ImportComponent.fetchContent(component.from, !component.noCache, signal); }
+      catch (error) {
+        if (signal?.aborted || attempt >= component.retry) { throw error; }
+        const delay = component.retryDelay * 2 ** attempt;
+        await ImportComponent.abortable(new Promise(resolve => setTimeout(resolve, delay)), signal);
+      }
+    }
+    const source = ImportComponent.#SOURCES.get(doc);
+    if (source && !ImportComponent.isAllowedOrigin(component, source)) {
+      ImportComponent.reportViolation(component, 'origin', source);
+      throw new Error(`Import redirected to a disallowed origin was blocked: ${source}`);
+    }
+    const hash = ImportComponent.#resolveSource(component).hash.slice(1);
+    const selector = component.select || (hash && `#${CSS.escape(decodeURIComponent(hash))}`);
+    const head = document.createDocumentFragment();
+    if (component.head !== 'skip' && !(selector && !component.hasAttribute('head'))) {
+      while (doc.head.firstChild) { head.appendChild(doc.head.firstChild); }
+    }
+    const body = document.createDocumentFragment();
+    if (selector) {
+      const matches = [...doc.body.querySelectorAll(selector)];
+      for (const match of matches.filter(m => !matches.some(o => o !== m && o.contains(m)))) { body.appendChild(match); }
+    } else {
+      while (doc.body.firstChild) { body.appendChild(doc.body.firstChild); }
+    }
+    if (component.reroute) {
+      ImportComponent.rerouteContent(component, head);
+      ImportComponent.rerouteContent(component, body);
+    }
+    if (component.sanitize) {
+      ImportComponent.sanitizeContent(component, head);
+      ImportComponent.sanitizeContent(component, body);
+    }
     const fragment = document.createDocumentFragment();
-    const doc = new DOMParser().parseFromString(html, 'text/html');
-    while (doc.head.firstChild) { fragment.appendChild(doc.head.firstChild); }
-    while (doc.body.firstChild) { fragment.appendChild(doc.body.firstChild); }
-    if (component.reroute) { ImportComponent.rerouteContent(component, fragment); }
+    /** @type {any} */(fragment)[ImportComponent.#HEAD] = [...head.childNodes];
+    fragment.append(head, body);
     return fragment;
   }
+  /**
+   * @static
+   * @method mergeHead
+   * @description Applies the `head` policy, hoisting de-duplicated stylesheets out of the imported head and dropping or merging &lt;title&gt; and &lt;meta&gt;.
+   * @param {ImportComponent} component - The instance of ImportComponent to merge for.
+   * @param {DocumentFragment} head - The imported head content. Hoisted and dropped elements are removed from it.
+   */
+  static mergeHead(component, head) {
+    const policy = component.head;
+    if (policy !== 'hoist' && policy !== 'merge') { return; }
+    const root = component.target === 'shadow' ? ImportComponent.getTargetContext(component) : component.getRootNode();
+    const container = root instanceof Document ? root.head : /** @type {ShadowRoot} */(root);
+    for (const sheet of [...head.querySelectorAll('link[rel~="stylesheet"], style')]) {
+      const exists = sheet instanceof HTMLLinkElement
+        ? [...container.querySelectorAll('link[rel~="stylesheet"]')].some(l => /** @type {HTMLLinkElement} */(l).href === sheet.href)
+        : [...container.querySelectorAll('style')].some(s => s.textContent === sheet.textContent);
+      if (exists) { sheet.remove(); }
+      else { container.appendChild(sheet); }
+    }
+    for (const element of [...head.querySelectorAll('title, meta')]) {
+      element.remove();
+      if (policy !== 'merge') { continue; }
+      if (element instanceof HTMLTitleElement) {
+        document.title = element.text;
+        continue;
+      }
+      const key = ['name', 'property', 'http-equiv'].find(a => element.hasAttribute(a));
+      if (!key) { continue; }
+      const existing = document.head.querySelector(`meta[${key}="${CSS.escape(element.getAttribute(key) ?? '')}"]`);
+      if (existing) { existing.replaceWith(element); }
+      else { document.head.appendChild(element); }
+    }
+  }
+  /**
+   * @async
+   * @static
+   * @method fetchContent
+   * @description Fetches and parses an HTML document, sharing in-flight and completed requests by resolved URL.
+   * @param {string} url - The URL of the HTML document to fetch. Any hash is ignored.
+   * @param {boolean} cache - Set to false to bypass the shared cache. Defaults to true.
+   * @param {AbortSignal | null} signal - An optional signal that cancels waiting. Shared requests continue for other callers.
+   * @returns {Promise<Document>} A clone of the parsed document.
+   */
+  static async fetchContent(url, cache = true, signal = null) {
+    const href = ImportComponent.#resolveUrl(url);
+    let request = cache ? ImportComponent.#CACHE.get(href) : undefined;
+    if (!request) {
+      request = (async () => {
+        const response = await fetch(href, cache ? {} : { cache: 'no-store', signal });
+        if (!response.ok) { throw new Error(`Failed to fetch ${href}: ${response.status} ${response.statusText}`, { cause: response }); }
+        const html = await response.text();
+        const policy = ImportComponent.#getTrustedTypesPolicy();
+        const parsed = new DOMParser().parseFromString(policy ? policy.createHTML(html, response) : html, 'text/html');
+        ImportComponent.#SOURCES.set(parsed, response.url || href);
+        return parsed;
+      })();
+      if (cache) {
+        const pending = request;
+        ImportComponent.#CACHE.set(href, pending);
+        pending.catch(() => {
+          if (ImportComponent.#CACHE.get(href) === pending) { ImportComponent.#CACHE.delete(href); }
+        });
+      }
+    }
+    const parsed = await ImportComponent.abortable(request, signal);
+    const clone = /** @type {Document} */(parsed.cloneNode(true));
+    ImportComponent.#SOURCES.set(clone, ImportComponent.#SOURCES.get(parsed) ?? href);
+    return clone;
+  }
+  /**
+   * @static
+   * @method isAllowedOrigin
+   * @description Checks a URL against the component's `origins` or the global `ImportComponent.allowedOrigins`.
+   * @param {ImportComponent} component - The instance of ImportComponent to check for.
+   * @param {string} url - The URL to check.
+   * @returns {boolean} True if the URL may be imported.
+   */
+  static isAllowedOrigin(component, url) {
+    const origins = component.origins ?? ImportComponent.allowedOrigins;
+    if (!origins) { return true; }
+    const origin = new URL(url, location.href).origin;
+    return origins.some(o => (o === 'self' ? location.origin : o.replace(/\/+$/, '')) === origin);
+  }
+  /**
+   * @static
+   * @method sanitizeContent
+   * @description Removes disallowed elements, inline event handlers and `javascript:` URLs from content, including nested &lt;template&gt; content.
+   * @param {ImportComponent} component - The instance of ImportComponent to sanitize for.
+   * @param {DocumentFragment} content - The content to sanitize.
+   */
+  static sanitizeContent(component, content) {
+    const selector = ImportComponent.sanitizeElements
+      .filter(s => !(component.scripts && s === 'script'))
+      .join(', ');
+    for (const element of selector ? [...content.querySelectorAll(selector)] : []) {
+      element.remove();
+      ImportComponent.reportViolation(component, 'element', element);
+    }
+    for (const element of [...content.querySelectorAll('*')]) {
+      for (const attribute of [...element.attributes]) {
+        const name = attribute.name.toLowerCase();
+        const blocked = name.startsWith('on')
+          || (ImportComponent.sanitizeAttributes.includes(name) && /^javascript:/i.test(attribute.value.replace(/[\u0000-\u0020]/g, '')));
+        if (!blocked) { continue; }
+        element.removeAttribute(attribute.name);
+        ImportComponent.reportViolation(component, 'attribute', element, attribute.name);
+      }
+      if (element instanceof HTMLTemplateElement) { ImportComponent.sanitizeContent(component, element.content); }
+    }
+  }
+  /**
+   * @static
+   * @method reportViolation
+   * @description Dispatches a `policyviolation` event describing content blocked by the security policy.
+   * @param {ImportComponent} component - The instance of ImportComponent blocking the content.
+   * @param {'origin' | 'element' | 'attribute'} directive - The policy that blocked the content.
+   * @param {string | Element} blocked - The blocked URL or element.
+   * @param {string | null} attribute - The blocked attribute name, if any.
+   */
+  static reportViolation(component, directive, blocked, attribute = null) {
+    component.dispatchEvent(new CustomEvent('policyviolation', { detail: { directive, blocked, attribute }, bubbles: true, composed: true }));
+  }
+  /**
+   * @static
+   * @method #getTrustedTypesPolicy
+   * @description Creates or returns the Trusted Types policy used for parsing and script creation.
+   * The policy is kept private, only accepts HTML and script text from fetched responses, and only creates script URLs allowed for the importing component.
+   * @returns {any} The policy, or null if Trusted Types are unavailable or the policy could not be created.
+   */
+  static #getTrustedTypesPolicy() {
+    if (ImportComponent.#policy !== undefined) { return ImportComponent.#policy; }
+    const factory = /** @type {any} */(globalThis).trustedTypes;
+    const fetched = (/** @type {string} */ text, /** @type {unknown} */ response) => {
+      if (!(response instanceof Response)) { throw new TypeError('Only fetched content may be trusted.'); }
+      return text;
+    };
+    try {
+      ImportComponent.#policy = factory?.createPolicy(ImportComponent.trustedTypesPolicy, {
+        createHTML: fetched,
+        createScript: fetched,
+        createScriptURL: (/** @type {string} */ url, /** @type {ImportComponent} */ component) => {
+          if (url.startsWith('data:text/javascript,') || ImportComponent.isAllowedOrigin(component, url)) { return url; }
+          throw new TypeError(`Script from a disallowed origin was blocked: ${url}`);
+        },
+      }) ?? null;
+    } catch (error) {
+      console.error(`Unable to create Trusted Types policy: ${error}`, error);
+      ImportComponent.#policy = null;
+    }
+    return ImportComponent.#policy;
+  }
+  /**
+   * @static
+   * @method #resolveSource
+   * @description Resolves the component's `from` the way it is fetched. Nested imports rerouted by their parent already hold absolute URLs.
+   * @param {ImportComponent} component - The instance of ImportComponent to resolve for.
+   * @returns {URL} The resolved source URL, including any hash.
+   */
+  static #resolveSource(component) { return new URL(component.from, location.href); }
+  /**
+   * @static
+   * @method #resolveUrl
+   * @description Resolves a URL to the key used by the shared cache.
+   * @param {string} url - The URL to resolve.
+   * @returns {string} The absolute URL without its hash.
+   */
+  static #resolveUrl(url) {
+    const resolved = new URL(url, location.href);
+    resolved.hash = '';
+    return resolved.href;
+  }
+  /**
+   * @async
+   * @static
+   * @method preload
+   * @description Fetches HTML fragments into the shared cache ahead of use.
+   * @param {string | string[]} urls - The URL(s) of the HTML fragments to preload.
+   * @returns {Promise<void>} Resolves once all fragments are cached.
+   */
+  static async preload(urls) {
+    await Promise.all((Array.isArray(urls) ? urls : [urls]).map(url => ImportComponent.fetchContent(url)));
+  }
+  /**
+   * @static
+   * @method invalidate
+   * @description Removes cached fragments so they are fetched again on next use.
+   * @param {string | string[] | null} urls - The URL(s) to invalidate. If not provided, the entire cache is cleared.
+   */
+  static invalidate(urls = null) {
+    if (urls == null) { return ImportComponent.#CACHE.clear(); }
+    for (const url of Array.isArray(urls) ? urls : [urls]) {
+      ImportComponent.#CACHE.delete(ImportComponent.#resolveUrl(url));
+    }
+  }
   /**
    * @async
    * @static
@@ -118,58 +611,471 @@ class ImportComponent extends HTMLElement {
    * @param {ImportComponent} component - The instance of ImportContent to import with.
    */
   static async import(component) {
-    ImportComponent.clear(component);
-    if (!component.isConnected || !component.from) { return; }
-    component.#context = await ImportComponent.getFromContent(component);
+    if (component.transition != null && component.isConnected && component.from) {
+      ImportComponent.abort(component);
+      ImportComponent.hidePlaceholder(component);
+      component.removeAttribute('state');
+    } else {
+      ImportComponent.clear(component);
+    }
+    if (component.#ready.settled) { component.#ready = ImportComponent.#createReady(); }
+    if (!component.isConnected || !component.from) { return ImportComponent.#settle(component); }
+    const hydrated = component.hydrate && !component.#context ? ImportComponent.hydrateContent(component) : null;
+    if (hydrated) {
+      const children = /** @type {Node[]} */(/** @type {any} */(hydrated)[ImportComponent.#NODES])
+        .flatMap(n => n instanceof Element ? [...(n.matches('import-component') ? [n] : []), ...n.querySelectorAll('import-component')] : []);
+      for (const child of children) { ImportComponent.#PARENTS.set(/** @type {Element} */(child), component); }
+      await ImportComponent.#whenChildrenReady(children);
+      if (component.#context !== hydrated) { return; }
+      component.dispatchEvent(new CustomEvent('loaded', { detail: hydrated, bubbles: true, composed: true }));
+      return ImportComponent.#settle(component);
+    }
+    const controller = component.#controller = new AbortController();
+    const signal = controller.signal;
+    try { await ImportComponent.defer(component, signal); }
+    catch { return; }
+    if (component.#controller !== controller) { return; }
+    component.setAttribute('state', 'loading');
+    ImportComponent.showPlaceholder(component, 'loading');
+    /** @type {DocumentFragment} */
+    let context;
+    try {
+      ImportComponent.checkAncestry(component);
+      context = await ImportComponent.getFromContent(component, signal);
+    } catch (error) {
+      if (component.#controller !== controller) { return; }
+      component.#controller = null;
+      ImportComponent.clear(component);
+      component.setAttribute('state', 'failed');
+      ImportComponent.showPlaceholder(component, 'error');
+      const response = error instanceof Error && error.cause instanceof Response ? error.cause : null;
+      component.dispatchEvent(new CustomEvent('error', { detail: { error, response } }));
+      return ImportComponent.#settle(component);
+    }
+    if (component.#controller !== controller) { return; }
     if (component.scripts) {
-      for (const script of [...component.#context.querySelectorAll('script')]) { 
-        try { await ImportComponent.executeScript(component, script); }
-        catch (error) { console.error(`Error executing imported script: ${error}`, error); }
+      for (const script of [...context.querySelectorAll('script')]) { 
+        if (script.hasAttribute('src') && !ImportComponent.isAllowedOrigin(component, script.src)) {
+          ImportComponent.reportViolation(component, 'origin', script.src);
+          continue;
+        }
+        try { await ImportComponent.executeScript(component, script, context, signal); }
+        catch (error) { if (!signal.aborted) { console.error(`Error executing imported script: ${error}`, error); } }
+        if (component.#controller !== controller) { return; }
+      }
+    }
+    const root = ImportComponent.getTargetContext(component);
+    /** @type {CSSStyleSheet[]} */
+    let sheets = [];
+    if (component.adoptStyles && root instanceof ShadowRoot) {
+      const existing = root.adoptedStyleSheets;
+      // Keeps the sheets this component already owns so they are not retired below; sheets adopted by others are left alone.
+      sheets = (await ImportComponent.adoptStyles(component, context, root))
+        .filter(s => !existing.includes(s) || component.#sheets.includes(s));
+      if (component.#controller !== controller) { return; }
+    }
+    component.#controller = null;
+    const head = document.createDocumentFragment();
+    head.append(.../** @type {Node[]} */(/** @type {any} */(context)[ImportComponent.#HEAD] ?? []).filter(n => n.parentNode === context));
+    ImportComponent.mergeHead(component, head);
+    context.prepend(head);
+    const previous = component.#context;
+    const retired = component.#sheets.filter(s => !sheets.includes(s));
+    component.#sheets = sheets;
+    component.#context = context;
+    const nodes = /** @type {Node[]} */(/** @type {any} */(context)[ImportComponent.#NODES] = [...context.childNodes]);
+    const leaving = /** @type {Node[]} */(previous ? /** @type {any} */(previous)[ImportComponent.#NODES] : []);
+    const children = [...context.querySelectorAll('import-component')];
+    for (const child of children) { ImportComponent.#PARENTS.set(child, component); }
+    component.dispatchEvent(new CustomEvent('insert', { detail: context, bubbles: true, composed: true }));
+    const update = () => {
+      while (previous && leaving.length) { previous.appendChild(/** @type {Node} */(leaving.shift())); }
+      if (retired.length && component.shadowRoot) {
+        component.shadowRoot.adoptedStyleSheets = component.shadowRoot.adoptedStyleSheets.filter(s => !retired.includes(s));
       }
+      if (component.#context !== context) { return []; }
+      ImportComponent.hidePlaceholder(component);
+      ImportComponent.insertContent(component, context);
+      component.setAttribute('state', 'loaded');
+      return nodes.filter(n => n instanceof Element);
+    };
+    if (component.transition == null) { update(); }
+    else {
+      const named = ImportComponent.getTransitionElement(component);
+      await ImportComponent.startTransition(component.transition, named ? [named] : [], leaving.filter(n => n instanceof Element), update);
     }
-    /** @type {any} */(component.#context)[ImportComponent.#NODES] = [...component.#context.childNodes];
-    component.dispatchEvent(new CustomEvent('insert', { detail: component.#context, bubbles: true, composed: true }));
+    if (previous) {
+      component.dispatchEvent(new CustomEvent('remove', { detail: previous, bubbles: true, composed: true }));
+      previous.dispatchEvent(new CustomEvent('detach'));
+    }
+    if (component.#context !== context) { return; }
+    context.dispatchEvent(new CustomEvent('attach'));
+    await ImportComponent.#whenChildrenReady(children);
+    if (component.#context !== context) { return; }
+    component.dispatchEvent(new CustomEvent('loaded', { detail: context, bubbles: true, composed: true }));
+    ImportComponent.#settle(component);
+  }
+  /**
+   * @static
+   * @method getRenderedContent
+   * @description Locates server rendered content at the component's target: the component's children other than placeholder templates for 'insert',
+   * the children of a declarative shadow root for 'shadow', or the elements marked with `data-rendered` among its contiguous preceding or following siblings,
+   * or the target element's children.
+   * @param {ImportComponent} component - The instance of ImportComponent to locate the rendered content for.
+   * @returns {Node[]} The rendered nodes in order.
+   */
+  static getRenderedContent(component) {
+    const rendered = (/** @type {Node} */ node) => node instanceof Element && node.hasAttribute('data-rendered');
+    const skipped = (/** @type {Node} */ node) => node.nodeType === Node.COMMENT_NODE || (node.nodeType === Node.TEXT_NODE && !node.textContent?.trim());
+    switch (component.target) {
+      case 'insert':
+        return [...component.childNodes].filter(n => !(n instanceof HTMLTemplateElement && n.hasAttribute('slot')));
+      case 'shadow':
+        return [...component.shadowRoot?.childNodes ?? []];
+      case 'before':
+      case 'after': {
+        const next = component.target === 'after' ? 'nextSibling' : 'previousSibling';
+        const nodes = /** @type {Node[]} */([]);
+        for (let node = component[next]; node && (rendered(node) || skipped(node)); node = node[next]) {
+          if (rendered(node)) { nodes.push(node); }
+        }
+        return next === 'nextSibling' ? nodes : nodes.reverse();
+      }
+      default: {
+        const target = ImportComponent.getTargetContext(component);
+        return target ? [...target.childNodes].filter(rendered) : [];
+      }
+    }
+  }
+  /**
+   * @static
+   * @method hydrateContent
+   * @description Adopts server rendered content as the imported content so it can be cleared and replaced like imported content.
+   * Dispatches the `insert` event and `attach` from the context, and sets the `state` to 'loaded'. Scripts within the content are not executed again.
+   * @param {ImportComponent} component - The instance of ImportComponent to hydrate.
+   * @returns {DocumentFragment | null} The context of the adopted content, or null if there is none.
+   */
+  static hydrateContent(component) {
+    const nodes = ImportComponent.getRenderedContent(component);
+    if (!nodes.some(n => n instanceof Element || n.textContent?.trim())) { return null; }
+    const context = document.createDocumentFragment();
+    /** @type {any} */(context)[ImportComponent.#NODES] = nodes;
+    component.#context = context;
+    component.setAttribute('state', 'loaded');
+    component.dispatchEvent(new CustomEvent('insert', { detail: context, bubbles: true, composed: true }));
+    context.dispatchEvent(new CustomEvent('attach'));
+    return context;
+  }
+  /**
+   * @static
+   * @method getTransitionElement
+   * @description Locates the element containing the imported content, which is given the transition's `view-transition-name`.
+   * @param {ImportComponent} component - The instance of ImportComponent to locate the element for.
+   * @returns {Element | null} The component for 'insert' and 'shadow' targets, its parent for 'before' and 'after' targets, or the target element.
+   */
+  static getTransitionElement(component) {
+    const target = component.target;
+    if (target === 'insert' || target === 'shadow') { return component; }
+    if (target === 'before' || target === 'after') { return component.parentElement; }
+    const context = ImportComponent.getTargetContext(component);
+    return context instanceof Element ? context : null;
+  }
+  /**
+   * @async
+   * @static
+   * @method startTransition
+   * @description Performs a DOM update in a view transition using `document.startViewTransition`. Where view transitions are unsupported,
+   * the leaving elements are animated with a `<name>-leave` class before the update and the entering elements with a `<name>-enter` class after it.
+   * @param {string} name - The name of the transition, given to the named elements as their `view-transition-name` and prefixing the fallback classes. The fallback prefix defaults to 'transition'.
+   * @param {Element[]} named - The elements given the transition's `view-transition-name` while it runs.
+   * @param {Element[]} leaving - The elements being removed by the update.
+   * @param {() => Element[]} update - Performs the update, returning the entering elements.
+   * @returns {Promise<void>} A promise settling once the transition has finished.
+   */
+  static async startTransition(name, named, leaving, update) {
+    if (typeof document.startViewTransition === 'function') {
+      const styled = /** @type {HTMLElement[]} */(named.filter(e => e instanceof HTMLElement));
+      const previous = styled.map(e => e.style.viewTransitionName);
+      if (name) { styled.forEach((e, i) => { e.style.viewTransitionName = styled.length > 1 ? `${name}-${i}` : name; }); }
+      try { await document.startViewTransition(() => { update(); }).finished; }
+      catch { }
+      finally { styled.forEach((e, i) => { e.style.viewTransitionName = previous[i]; }); }
+      return;
+    }
+    const prefix = name || 'transition';
+    const settle = (/** @type {Element[]} */ elements) => Promise.all(elements
+      .flatMap(e => e.getAnimations?.({ subtree: true }) ?? [])
+      .map(a => a.finished.catch(() => {})));
+    leaving.forEach(e => e.classList.add(`${prefix}-leave`));
+    await settle(leaving);
+    leaving.forEach(e => e.classList.remove(`${prefix}-leave`));
+    const entering = update();
+    entering.forEach(e => e.classList.add(`${prefix}-enter`));
+    await settle(entering);
+    entering.forEach(e => e.classList.remove(`${prefix}-enter`));
+  }
+  /**
+   * @static
+   * @method getAncestors
+   * @description Lists the ImportComponents whose imported content contains this one, nearest first.
+   * @param {ImportComponent} component - The instance of ImportComponent to list ancestors for.
+   * @returns {ImportComponent[]} The ancestor ImportComponents.
+   */
+  static getAncestors(component) {
+    const ancestors = /** @type {ImportComponent[]} */([]);
+    let parent = ImportComponent.#PARENTS.get(component);
+    while (parent && !ancestors.includes(parent)) {
+      ancestors.push(parent);
+      parent = ImportComponent.#PARENTS.get(parent);
+    }
+    return ancestors;
+  }
+  /**
+   * @static
+   * @method checkAncestry
+   * @description Guards against nested imports exceeding `maxDepth` or recursively importing their own source.
+   * @param {ImportComponent} component - The instance of ImportComponent to check.
+   * @throws Will throw an error if the maximum depth is exceeded or a recursive `from` chain is detected.
+   */
+  static checkAncestry(component) {
+    const ancestors = ImportComponent.getAncestors(component);
+    const limit = component.maxDepth;
+    if (ancestors.length > limit) { throw new Error(`Maximum import depth of ${limit} exceeded importing ${component.from}`); }
+    const chain = [component, ...ancestors].map(c => ImportComponent.#resolveSource(c).href);
+    const index = chain.indexOf(chain[0], 1);
+    if (index > 0) { throw new Error(`Recursive import detected: ${chain.slice(0, index + 1).reverse().join(' -> ')}`); }
+  }
+  /**
+   * @static
+   * @method #createReady
+   * @description Creates the pending state backing the `ready` promise.
+   * @returns {{promise: Promise<ImportComponent>, resolve: (component: ImportComponent) => void, settled: boolean}} The pending ready state.
+   */
+  static #createReady() {
+    /** @type {(component: ImportComponent) => void} */
+    let resolve = () => { };
+    const promise = new Promise(r => resolve = r);
+    return { promise, resolve, settled: false };
+  }
+  /**
+   * @static
+   * @method #settle
+   * @description Resolves the component's `ready` promise.
+   * @param {ImportComponent} component - The instance of ImportComponent that has settled.
+   */
+  static #settle(component) {
+    component.#ready.settled = true;
+    component.#ready.resolve(component);
+  }
+  /**
+   * @static
+   * @method #whenChildrenReady
+   * @description Waits for nested imports to settle. Imports still deferred by `loading="lazy"` or an unmatched `when` are not waited for, as they may never begin.
+   * @param {Node[]} children - The nested import-component elements.
+   * @returns {Promise<void>} Resolves once every nested import that has begun has settled.
+   */
+  static async #whenChildrenReady(children) {
+    await Promise.all(children.map(c => c instanceof ImportComponent && c.isConnected && !ImportComponent.#isDeferred(c) ? c.ready : null));
+  }
+  /**
+   * @static
+   * @method #isDeferred
+   * @description Checks whether an import has not begun because of its `loading` mode or `when` media query.
+   * @param {ImportComponent} component - The instance of ImportComponent to check.
+   * @returns {boolean} True while the import is waiting to become visible or for `when` to match.
+   */
+  static #isDeferred(component) {
+    if (component.state != null || component.#ready.settled) { return false; }
+    return component.loading === 'lazy' || (!!component.when && !matchMedia(component.when).matches);
+  }
+  /**
+   * @static
+   * @method insertContent
+   * @description Inserts content into the DOM based on the `target` attribute.
+   * @param {ImportComponent} component - The instance of ImportComponent to insert for.
+   * @param {DocumentFragment} content - The content to insert.
+   */
+  static insertContent(component, content) {
     const target = /** @type {Element} */ImportComponent.getTargetContext(component);
     switch (component.target) {
       case 'shadow':
-        target?.appendChild(component.#context);
+        target?.appendChild(content);
         break;
       case 'insert':
-        target?.appendChild(component.#context);
+        target?.appendChild(content);
         break;
       case 'before':
-        component.parentNode?.insertBefore(component.#context, target);
+        component.parentNode?.insertBefore(content, target);
         break;
       case 'after':
-        component.parentNode?.insertBefore(component.#context, target);
+        component.parentNode?.insertBefore(content, target);
         break;
       default:
-        target?.appendChild(component.#context);
+        target?.appendChild(content);
         break;
     }
-    component.#context.dispatchEvent(new CustomEvent('attach'));
+  }
+  /**
+   * @async
+   * @static
+   * @method adoptStyles
+   * @description Replaces &lt;style&gt; and same-origin stylesheet &lt;link&gt; elements in the content with shared constructable stylesheets adopted by the root.
+   * @param {ImportComponent} component - The instance of ImportComponent to adopt styles for.
+   * @param {DocumentFragment} content - The content to take stylesheets from. Adopted elements are removed from it.
+   * @param {ShadowRoot} root - The shadow root to adopt the stylesheets into.
+   * @returns {Promise<CSSStyleSheet[]>} Every stylesheet the content uses, whether newly adopted or already adopted by the root.
+   */
+  static async adoptStyles(component, content, root) {
+    const sheets = component.globalStyles ? await ImportComponent.getDocumentStyleSheets() : [];
+    for (const element of [...content.querySelectorAll('style, link[rel~="stylesheet"][href]')]) {
+      const media = element.getAttribute('media') ?? '';
+      try {
+        if (element instanceof HTMLLinkElement) {
+          const url = new URL(element.href, location.href);
+          if (url.origin !== location.origin) { continue; }
+          sheets.push(await ImportComponent.getStyleSheet(`${media}|${url.href}`, media, async () => {
+            const response = await fetch(url);
+            if (!response.ok) { throw new Error(`Failed to fetch ${url}: ${response.status} ${response.statusText}`, { cause: response }); }
+            return response.text();
+          }));
+        } else {
+          const text = element.textContent ?? '';
+          sheets.push(await ImportComponent.getStyleSheet(`${media}|${text}`, media, async () => text));
+        }
+        element.remove();
+      } catch (error) { console.error(`Error adopting imported stylesheet: ${error}`, error); }
+    }
+    const used = sheets.filter((s, i) => sheets.indexOf(s) === i);
+    root.adoptedStyleSheets = [...root.adoptedStyleSheets, ...used.filter(s => !root.adoptedStyleSheets.includes(s))];
+    return used;
+  }
+  /**
+   * @async
+   * @static
+   * @method getDocumentStyleSheets
+   * @description Converts the document's accessible stylesheets into shared constructable stylesheets.
+   * @returns {Promise<CSSStyleSheet[]>} The document's stylesheets in order. Cross-origin stylesheets are skipped.
+   */
+  static async getDocumentStyleSheets() {
+    const sheets = [];
+    for (const sheet of [...document.styleSheets]) {
+      let text;
+      try { text = [...sheet.cssRules].map(r => r.cssText).join('\n'); }
+      catch { continue; }
+      const media = sheet.media.mediaText;
+      sheets.push(await ImportComponent.getStyleSheet(`${media}|${text}`, media, async () => text));
+    }
+    return [...sheets, ...document.adoptedStyleSheets];
+  }
+  /**
+   * @async
+   * @static
+   * @method getStyleSheet
+   * @description Returns a shared constructable stylesheet, creating it once per key.
+   * @param {string} key - The key identifying the stylesheet, typically its media and URL or content.
+   * @param {string} media - The media query the stylesheet applies to.
+   * @param {() => Promise<string>} load - Loads the stylesheet text when it is not yet cached.
+   * @returns {Promise<CSSStyleSheet>} The shared stylesheet.
+   */
+  static async getStyleSheet(key, media, load) {
+    let sheet = ImportComponent.#SHEETS.get(key);
+    if (!sheet) {
+      const pending = sheet = (async () => {
+        const created = new CSSStyleSheet({ media });
+        return created.replace(await load());
+      })();
+      ImportComponent.#SHEETS.set(key, pending);
+      pending.catch(() => {
+        if (ImportComponent.#SHEETS.get(key) === pending) { ImportComponent.#SHEETS.delete(key); }
+      });
+    }
+    return sheet;
   }
   /**
    * @static
    * @method rerouteContent
-   * @description Reroutes script and link elements in the imported content to be relative to the source URL.
+   * @description Reroutes URL-bearing attributes and CSS references in the imported content to be relative to the source URL, including the content of nested &lt;template&gt; elements.
    * @param {ImportComponent} component - The instance of ImportContent to reroute content for.
    * @param {DocumentFragment} content - The content to reroute.
    */
   static rerouteContent(component, content) {
-    const baseUrl = new URL(component.from, location.href);
-    for (const link of [...content.querySelectorAll('link[href]')]) {
-      const href = link.getAttribute('href');
-      if (!href) { continue; }
-      const url = new URL(href, baseUrl);
-      link.setAttribute('href', url.href);
+    const baseUrl = ImportComponent.#resolveSource(component);
+    for (const rule of ImportComponent.rerouteRules) {
+      for (const element of [...content.querySelectorAll(rule.selector)]) {
+        const value = element.getAttribute(rule.attribute);
+        if (!value) { continue; }
+        const rerouted = rule.type === 'srcset' ? ImportComponent.rerouteSrcset(value, baseUrl)
+          : rule.type === 'css' ? ImportComponent.rerouteCss(value, baseUrl)
+          : rule.type === 'import' ? ImportComponent.rerouteImport(value, baseUrl, content)
+          : ImportComponent.rerouteUrl(value, baseUrl);
+        if (rerouted !== value) { element.setAttribute(rule.attribute, rerouted); }
+      }
     }
-    for (const script of [...content.querySelectorAll('script[src]')]) {
-      const src = script.getAttribute('src');
-      if (!src) { continue; }
-      const url = new URL(src, baseUrl);
-      script.setAttribute('src', url.href);
+    for (const style of [...content.querySelectorAll('style')]) {
+      style.textContent = ImportComponent.rerouteCss(style.textContent ?? '', baseUrl);
     }
+    for (const template of [...content.querySelectorAll('template')]) { ImportComponent.rerouteContent(component, template.content); }
+  }
+  /**
+   * @static
+   * @method rerouteUrl
+   * @description Resolves a URL against a base URL, leaving in-page fragment references untouched.
+   * @param {string} url - The URL to reroute.
+   * @param {URL} baseUrl - The URL to resolve against.
+   * @returns {string} The rerouted URL.
+   */
+  static rerouteUrl(url, baseUrl) {
+    const trimmed = url.trim();
+    if (!trimmed || trimmed.startsWith('#')) { return url; }
+    try { return new URL(trimmed, baseUrl).href; }
+    catch { return url; }
+  }
+  /**
+   * @static
+   * @method rerouteImport
+   * @description Reroutes a nested import's `from`, leaving query-selectors that reference a &lt;template&gt; untouched.
+   * @param {string} from - The nested import's `from` value.
+   * @param {URL} baseUrl - The URL to resolve against.
+   * @param {DocumentFragment} content - The imported content the nested import belongs to.
+   * @returns {string} The rerouted `from` value.
+   */
+  static rerouteImport(from, baseUrl, content) {
+    try {
+      if (content.querySelector(from) instanceof HTMLTemplateElement || document.querySelector(from) instanceof HTMLTemplateElement) { return from; }
+    } catch { }
+    return ImportComponent.rerouteUrl(from, baseUrl);
+  }
+  /**
+   * @static
+   * @method rerouteSrcset
+   * @description Reroutes each candidate URL in a `srcset` value.
+   * @param {string} srcset - The srcset value to reroute.
+   * @param {URL} baseUrl - The URL to resolve against.
+   * @returns {string} The rerouted srcset value.
+   */
+  static rerouteSrcset(srcset, baseUrl) {
+    return srcset
+      .split(',')
+      .map(candidate => candidate.trim())
+      .filter(candidate => candidate)
+      .map(candidate => {
+        const [url, ...descriptors] = candidate.split(/\s+/);
+        return [ImportComponent.rerouteUrl(url, baseUrl), ...descriptors].join(' ');
+      })
+      .join(', ');
+  }
+  /**
+   * @static
+   * @method rerouteCss
+   * @description Reroutes `url()` and `@import` references in CSS text.
+   * @param {string} css - The CSS text to reroute.
+   * @param {URL} baseUrl - The URL to resolve against.
+   * @returns {string} The rerouted CSS text.
+   */
+  static rerouteCss(css, baseUrl) {
+    return css
+      .replace(/url\(\s*(['"]?)(.*?)\1\s*\)/g, (_, quote, url) => `url(${quote}${ImportComponent.rerouteUrl(url, baseUrl)}${quote})`)
+      .replace(/@import\s+(['"])(.*?)\1/g, (_, quote, url) => `@import ${quote}${ImportComponent.rerouteUrl(url, baseUrl)}${quote}`);
   }
   /**
    * @async
@@ -178,15 +1084,45 @@ class ImportComponent extends HTMLElement {
    * @description Executes a script element within the context of the imported content.
    * @param {ImportComponent} component - The instance of ImportContent to execute the script for.
    * @param {HTMLScriptElement} script - The script element to execute.
+   * @param {DocumentFragment | null} context - The content the script is executed against. Defaults to the current content.
+   * @param {AbortSignal | null} signal - An optional signal that cancels loading the script.
    */
-  static async executeScript(component, script) {
-    if (!component.#context) { return; }
-    const url = script.hasAttribute('src') ? script.src : `data:text/javascript,${encodeURIComponent(script.textContent ?? '')}`;
-    const source = script.type === 'module'
-      ? (await import(url)).default
-      : new Function(await (await fetch(url)).text());
+  static async executeScript(component, script, context = component.#context, signal = null) {
+    if (!context) { return; }
+    const module = script.type === 'module';
+    const external = script.hasAttribute('src');
+    let url = external ? script.src : `data:text/javascript,${encodeURIComponent(script.textContent ?? '')}`;
+    // Restricted module scripts are fetched first so redirects can be checked, then imported from their final URL.
+    const restricted = (component.origins ?? ImportComponent.allowedOrigins) != null;
+    const response = !module || (external && restricted) ? await ImportComponent.abortable(fetch(url, { signal }), signal) : null;
+    if (external && response?.url) {
+      if (!ImportComponent.isAllowedOrigin(component, response.url)) {
+        ImportComponent.reportViolation(component, 'origin', response.url);
+        throw new Error(`Script redirected to a disallowed origin was blocked: ${response.url}`);
+      }
+      url = response.url;
+    }
+    const policy = ImportComponent.#getTrustedTypesPolicy();
+    const trustedUrl = policy ? policy.createScriptURL(url, component) : url;
+    const source = module
+      ? (await ImportComponent.abortable(import(trustedUrl), signal)).default
+      : await ImportComponent.#createFunction(/** @type {Response} */(response));
     if (!(source instanceof Function)) { throw new Error('Script content is not a valid function'); }
-    await source.call(component.#context, component.#context);
+    signal?.throwIfAborted();
+    await source.call(context, context);
+  }
+  /**
+   * @async
+   * @static
+   * @method #createFunction
+   * @description Creates a function from a fetched classic script, through the Trusted Types policy when available.
+   * @param {Response} response - The fetched script.
+   * @returns {Promise<Function>} The created function.
+   */
+  static async #createFunction(response) {
+    const text = await response.text();
+    const policy = ImportComponent.#getTrustedTypesPolicy();
+    return new Function(policy ? policy.createScript(text, response) : text);
   }
 }
 export {ImportComponent};
@@ -8,7 +8,20 @@ export default
  * @source https://github.com/DataDink/web-components
  */
 class NavComponent extends HTMLElement {
-  static #ACTIVECLASS = 'active';
+  static #MANAGED = ['class', 'aria-current', 'aria-selected', 'aria-controls', 'role', 'tabindex', 'id'];
+  static #ids = 0;
+  /** @type {WeakSet<Element>} */
+  static #TABS = new WeakSet();
+  /** @type {Set<NavComponent>} */
+  static #INSTANCES = new Set();
+  /** @type {boolean} */
+  #replace = false;
+  /** @type {string | null} */
+  #activeClass = null;
+  /** @type {{src: string | null, settled: Promise<void>} | null} */
+  #transition = null;
+  /** @type {{item: HTMLAnchorElement, value: string | null, params: KeyValue, src: string | null} | null} */
+  #active = null;
   /**
    * @property {string} hashName - If set, the component will use this as a url hash value to provide deep-linking and coordinate with other components.
    */
@@ -24,6 +37,37 @@ class NavComponent extends HTMLElement {
    */
   get attribute() { return this.getAttribute('attribute') || 'src'; }
   set attribute(value) { value == null ? this.removeAttribute('attribute') : this.setAttribute('attribute', value); }
+  /**
+   * @property {'hash' | 'history' | 'query'} mode - Where the navigation state is kept: the url hash (default), the url path, or the url query string.
+   */
+  get mode() {
+    const mode = this.getAttribute('mode');
+    return mode === 'history' || mode === 'query' ? mode : 'hash';
+  }
+  set mode(value) { value == null ? this.removeAttribute('mode') : this.setAttribute('mode', value); }
+  /**
+   * @property {string} base - The path the navigation paths are relative to in history mode. Defaults to '/'.
+   */
+  get base() {
+    const base = this.getAttribute('base') || '/';
+    return base.endsWith('/') ? base : `${base}/`;
+  }
+  set base(value) { value == null ? this.removeAttribute('base') : this.setAttribute('base', value); }
+  /**
+   * @property {string} activeClass - The class name marking the active item. Defaults to 'active'.
+   */
+  get activeClass() { return this.getAttribute('active-class') || 'active'; }
+  set activeClass(value) { value == null ? this.removeAttribute('active-class') : this.setAttribute('active-class', value); }
+  /**
+   * @property {string | null} transition - If set, target elements are updated in a view transition. The value names the transition unless the active item has a `transition` attribute.
+   */
+  get transition() { return this.getAttribute('transition'); }
+  set transition(value) { value == null ? this.removeAttribute('transition') : this.setAttribute('transition', value); }
+  /**
+   * @readonly
+   * @property {Readonly<KeyValue>} params - The route parameters of the current navigation.
+   */
+  get params() { return Object.freeze({ ...this.#active?.params }); }
   /** @type {boolean} */
   constructor() {
     super();
@@ -34,25 +78,49 @@ class NavComponent extends HTMLElement {
       if (!target) { return; }
       if (target.hasAttribute('target')) { return; }
       e.preventDefault();
-      for (const a of NavComponent.queryNavItems(this)) {
-        if (a !== target && a.classList.contains(NavComponent.#ACTIVECLASS)) { 
-          a.classList.remove(NavComponent.#ACTIVECLASS); 
-        } else if (a === target && !a.classList.contains(NavComponent.#ACTIVECLASS)) {
-          a.classList.add(NavComponent.#ACTIVECLASS);
-        }
-      }
-      NavComponent.push(this);
-      this.dispatchEvent(new CustomEvent('navigation', {
+      const replace = this.#replace;
+      this.#replace = false;
+      const href = target.getAttribute('href');
+      const params = NavComponent.matchItem(target, href ?? '') ?? {};
+      if (!NavComponent.beforeNavigation(this, target, params)) { return; }
+      NavComponent.activate(this, target, href, params);
+      const settled = NavComponent.push(this, replace);
+      const dispatch = () => this.dispatchEvent(new CustomEvent('navigation', {
         detail: {
           component: this,
-          source: target
+          source: target,
+          params
         },
         bubbles: true,
         composed: true
       }));
+      settled ? settled.then(dispatch) : dispatch();
+    });
+    this.addEventListener('keydown', e => {
+      if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey) { return; }
+      if (!(e.target instanceof Element)) { return; }
+      const items = NavComponent.queryNavItems(this);
+      const item = /** @type {HTMLAnchorElement | null} */(e.target.closest('a'));
+      const index = item ? items.indexOf(item) : -1;
+      if (!item || index < 0) { return; }
+      const orientation = this.getAttribute('aria-orientation');
+      const forward = orientation === 'vertical' ? ['ArrowDown'] : orientation === 'horizontal' ? ['ArrowRight'] : ['ArrowDown', 'ArrowRight'];
+      const backward = orientation === 'vertical' ? ['ArrowUp'] : orientation === 'horizontal' ? ['ArrowLeft'] : ['ArrowUp', 'ArrowLeft'];
+      let next = -1;
+      if (forward.includes(e.key)) { next = (index + 1) % items.length; }
+      else if (backward.includes(e.key)) { next = (index - 1 + items.length) % items.length; }
+      else if (e.key === 'Home') { next = 0; }
+      else if (e.key === 'End') { next = items.length - 1; }
+      else if (e.key === ' ' && item.getAttribute('role') === 'tab') {
+        e.preventDefault();
+        return item.click();
+      }
+      if (next < 0) { return; }
+      e.preventDefault();
+      NavComponent.focusItem(this, items[next]);
     });
     new MutationObserver(records => {
-      const ignore = records.every(r => r.attributeName === 'class');
+      const ignore = records.every(r => r.attributeName && r.target !== this && NavComponent.#MANAGED.includes(r.attributeName));
       if (ignore) { return; }
       NavComponent.pull(this);
     }).observe(this, { childList: true, subtree: true, attributes: true });
@@ -62,22 +130,16 @@ class NavComponent extends HTMLElement {
    * @method push
    * @description Pushes the current navigation state from the component.
    * @param {NavComponent} component - The instance of NavComponent to push.
+   * @param {boolean} replace - If true, replaces the current history entry in history and query modes instead of adding one.
+   * @returns {Promise<void> | undefined} A promise settling once the target elements' transition has finished, if there is one.
    */
-  static push(component) {
+  static push(component, replace = false) {
     const active = NavComponent.queryActiveItem(component) ?? NavComponent.queryDefaultItem(component);
-    if (active && !active.classList.contains(NavComponent.#ACTIVECLASS)) {
-      active.classList.add(NavComponent.#ACTIVECLASS);
-    }
-    const src = active?.hasAttribute('href') ? active.getAttribute('href') : null;
-    const name = component.hashName;
-    if (name) {
-      const hash = NavComponent.getHash();
-      if (src) { hash[name] = src; }
-      else { delete hash[name]; }
-      NavComponent.setHash(hash);
-      return;
-    }
-    NavComponent.post(component);
+    if (active && !active.classList.contains(component.activeClass)) { NavComponent.mark(component, active); }
+    const src = component.#active && component.#active.item === active ? component.#active.value
+      : active?.hasAttribute('href') ? active.getAttribute('href') : null;
+    if (NavComponent.isPersisted(component)) { NavComponent.setState(component, src, replace); }
+    return NavComponent.post(component);
   }
   /**
    * @static
@@ -88,42 +150,211 @@ class NavComponent extends HTMLElement {
   static pull(component) {
     const targets = NavComponent.queryTargets(component);
     if (!targets.length) { return; }
-    const name = component.hashName;
     const attribute = component.attribute;
-    const current = name ? NavComponent.getHash()[name]
+    const current = NavComponent.isPersisted(component) ? NavComponent.getState(component)
         : attribute ? targets.find(t => t.getAttribute(attribute))?.getAttribute(attribute)
         : null;
     const items = NavComponent.queryNavItems(component);
-    const match = items.find(i => i.getAttribute('href') === current);
+    const active = NavComponent.queryActiveItem(component);
+    const previous = component.#active;
+    /** @type {HTMLAnchorElement | undefined} */
+    let match;
+    /** @type {KeyValue} */
+    let params = {};
+    if (!NavComponent.isPersisted(component) && previous && previous.item === active && current === previous.src) {
+      match = active;
+      params = previous.params;
+    } else {
+      match = items.find(i => i.getAttribute('href') === current);
+      params = match ? NavComponent.matchItem(match, current ?? '') ?? {} : {};
+      for (const item of current && !match ? items : []) {
+        const found = NavComponent.matchItem(item, current ?? '');
+        if (!found) { continue; }
+        match = item;
+        params = found;
+        break;
+      }
+    }
+    /** @type {string | null | undefined} */
+    let src = undefined;
+    if (!match && current) {
+      match = NavComponent.queryFallbackItem(component) ?? undefined;
+      params = match ? { '*': current } : {};
+      src = match ? NavComponent.getValue(match, match.getAttribute('href'), params) : undefined;
+    }
     if (!match) {
       const fallback = NavComponent.queryDefaultItem(component);
-      if (fallback) { return fallback.click(); }
-    }
-    for (const item of items) {
-      if (item !== match && item.classList.contains(NavComponent.#ACTIVECLASS)) {
-        item.classList.remove(NavComponent.#ACTIVECLASS);
-      } else if (item === match && !item.classList.contains(NavComponent.#ACTIVECLASS)) {
-        item.classList.add(NavComponent.#ACTIVECLASS);
+      if (fallback) {
+        // The click is handled synchronously; the flag is reset even if a listener prevents it.
+        component.#replace = true;
+        try { return fallback.click(); }
+        finally { component.#replace = false; }
       }
     }
+    const value = current ?? null;
+    if (active && (match !== active || value !== previous?.value) && !NavComponent.beforeNavigation(component, match ?? null, params)) {
+      if (NavComponent.isPersisted(component)) { NavComponent.push(component, true); }
+      return;
+    }
+    NavComponent.activate(component, match ?? null, value, params, src);
     NavComponent.post(component);
   }
+  /**
+   * @static
+   * @method activate
+   * @description Marks an item as the active navigation item.
+   * @param {NavComponent} component - The instance of NavComponent to activate the item for.
+   * @param {HTMLAnchorElement | null} item - The item to activate, or null to deactivate all items.
+   * @param {string | null} value - The navigation state the item was activated for.
+   * @param {KeyValue} params - The route parameters of the navigation.
+   * @param {string | null | undefined} src - The value set on the target elements. Defaults to the item's value for the navigation.
+   */
+  static activate(component, item, value, params, src = undefined) {
+    NavComponent.mark(component, item);
+    component.#active = item ? { item, value, params, src: src === undefined ? NavComponent.getValue(item, value, params) : src } : null;
+  }
+  /**
+   * @static
+   * @method mark
+   * @description Marks an item as active with the active class and `aria-current`, or `aria-selected` when the component has `role="tablist"`.
+   * Links the items to the target elements with `aria-controls`, and gives the active item, or the first item, the only `tabindex` of 0.
+   * @param {NavComponent} component - The instance of NavComponent to mark the item for.
+   * @param {HTMLAnchorElement | null} item - The item to mark, or null to mark no item.
+   */
+  static mark(component, item) {
+    const name = component.activeClass;
+    const previous = component.#activeClass;
+    component.#activeClass = name;
+    const tabs = component.getAttribute('role') === 'tablist';
+    const controls = NavComponent.queryTargets(component).map(t => t.id || (t.id = `nav-component-target-${++NavComponent.#ids}`)).join(' ');
+    const items = NavComponent.queryNavItems(component);
+    const focusable = item ?? items[0];
+    for (const a of items) {
+      const active = a === item;
+      if (previous && previous !== name) { a.classList.remove(previous); }
+      if (a.classList.contains(name) !== active) { a.classList.toggle(name, active); }
+      if (tabs && !a.hasAttribute('role')) {
+        a.setAttribute('role', 'tab');
+        NavComponent.#TABS.add(a);
+      } else if (!tabs && NavComponent.#TABS.has(a)) {
+        a.removeAttribute('role');
+        NavComponent.#TABS.delete(a);
+      }
+      NavComponent.setAttribute(a, 'aria-selected', tabs ? String(active) : null);
+      NavComponent.setAttribute(a, 'aria-current', !tabs && active ? 'page' : null);
+      NavComponent.setAttribute(a, 'aria-controls', controls || null);
+      NavComponent.setAttribute(a, 'tabindex', a === focusable ? '0' : '-1');
+    }
+  }
+  /**
+   * @static
+   * @method focusItem
+   * @description Moves focus to an item, giving it the only `tabindex` of 0.
+   * @param {NavComponent} component - The instance of NavComponent containing the item.
+   * @param {HTMLAnchorElement} item - The item to focus.
+   */
+  static focusItem(component, item) {
+    for (const a of NavComponent.queryNavItems(component)) { NavComponent.setAttribute(a, 'tabindex', a === item ? '0' : '-1'); }
+    item.focus();
+  }
+  /**
+   * @static
+   * @method setAttribute
+   * @description Sets or removes an attribute only if its value differs.
+   * @param {Element} element - The element to set the attribute on.
+   * @param {string} name - The name of the attribute.
+   * @param {string | null} value - The value of the attribute, or null to remove it.
+   */
+  static setAttribute(element, name, value) {
+    if (element.getAttribute(name) === value) { return; }
+    value == null ? element.removeAttribute(name) : element.setAttribute(name, value);
+  }
+  /**
+   * @static
+   * @method beforeNavigation
+   * @description Dispatches a cancelable `beforenavigation` event from the component.
+   * @param {NavComponent} component - The instance of NavComponent navigating.
+   * @param {HTMLAnchorElement | null} source - The item being navigated to.
+   * @param {KeyValue} params - The route parameters of the navigation.
+   * @returns {boolean} False if the navigation was cancelled.
+   */
+  static beforeNavigation(component, source, params) {
+    return component.dispatchEvent(new CustomEvent('beforenavigation', {
+      detail: { component, source, params },
+      bubbles: true,
+      composed: true,
+      cancelable: true
+    }));
+  }
   /**
    * @static
    * @method post
-   * @description Sends the current active navigation state to the target elements.
+   * @description Sends the current active navigation state to the target elements, in a view transition if `transition` is set.
    * @param {NavComponent} component - The instance of NavComponent to send.
+   * @returns {Promise<void> | undefined} A promise settling once the target elements' transition has finished, if there is one.
    */
   static post(component) {
     const attribute = component.attribute;
     if (!attribute) { return; }
     const active = NavComponent.queryActiveItem(component);
-    const src = active?.hasAttribute('href') ? active.getAttribute('href') : null;
-    for (const target of NavComponent.queryTargets(component)) {
-      if (target.getAttribute(attribute) === src) { continue; }
-      if (src == null) { target.removeAttribute(attribute); }
-      else { target.setAttribute(attribute, src); }
+    const state = component.#active;
+    const src = !active ? null
+      : state?.item === active ? state.src
+      : NavComponent.getValue(active, active.getAttribute('href'), {});
+    const pending = component.#transition;
+    if (pending && pending.src === src) { return pending.settled; }
+    const targets = NavComponent.queryTargets(component).filter(t => t.getAttribute(attribute) !== src);
+    if (!targets.length) { return; }
+    const update = () => {
+      for (const target of targets) {
+        if (src == null) { target.removeAttribute(attribute); }
+        else { target.setAttribute(attribute, src); }
+      }
+      return targets;
+    };
+    if (component.transition == null) {
+      update();
+      return;
+    }
+    const name = active?.getAttribute('transition') || component.transition;
+    const settled = NavComponent.startTransition(name, targets, targets, update)
+      .finally(() => { if (component.#transition?.settled === settled) { component.#transition = null; } });
+    component.#transition = { src, settled };
+    return settled;
+  }
+  /**
+   * @async
+   * @static
+   * @method startTransition
+   * @description Performs a DOM update in a view transition using `document.startViewTransition`. Where view transitions are unsupported,
+   * the leaving elements are animated with a `<name>-leave` class before the update and the entering elements with a `<name>-enter` class after it.
+   * @param {string} name - The name of the transition, given to the named elements as their `view-transition-name` and prefixing the fallback classes. The fallback prefix defaults to 'transition'.
+   * @param {Element[]} named - The elements given the transition's `view-transition-name` while it runs.
+   * @param {Element[]} leaving - The elements being changed by the update.
+   * @param {() => Element[]} update - Performs the update, returning the entering elements.
+   * @returns {Promise<void>} A promise settling once the transition has finished.
+   */
+  static async startTransition(name, named, leaving, update) {
+    if (typeof document.startViewTransition === 'function') {
+      const styled = /** @type {HTMLElement[]} */(named.filter(e => e instanceof HTMLElement));
+      const previous = styled.map(e => e.style.viewTransitionName);
+      if (name) { styled.forEach((e, i) => { e.style.viewTransitionName = styled.length > 1 ? `${name}-${i}` : name; }); }
+      try { await document.startViewTransition(() => { update(); }).finished; }
+      catch { }
+      finally { styled.forEach((e, i) => { e.style.viewTransitionName = previous[i]; }); }
+      return;
     }
+    const prefix = name || 'transition';
+    const settle = (/** @type {Element[]} */ elements) => Promise.all(elements
+      .flatMap(e => e.getAnimations?.({ subtree: true }) ?? [])
+      .map(a => a.finished.catch(() => {})));
+    leaving.forEach(e => e.classList.add(`${prefix}-leave`));
+    await settle(leaving);
+    leaving.forEach(e => e.classList.remove(`${prefix}-leave`));
+    const entering = update();
+    entering.forEach(e => e.classList.add(`${prefix}-enter`));
+    await settle(entering);
+    entering.forEach(e => e.classList.remove(`${prefix}-enter`));
   }
   /**
    * @static
@@ -144,7 +375,7 @@ class NavComponent extends HTMLElement {
    */
   static queryActiveItem(component) {
     const items = NavComponent.queryNavItems(component);
-    return items.find(i => i.classList.contains(NavComponent.#ACTIVECLASS)) || null;
+    return items.find(i => i.classList.contains(component.activeClass)) || null;
   }
   /**
    * @static
@@ -157,6 +388,65 @@ class NavComponent extends HTMLElement {
     const items = NavComponent.queryNavItems(component);
     return items.find(i => i.hasAttribute('default')) || null;
   }
+  /**
+   * @static
+   * @method queryFallbackItem
+   * @description Queries the item activated when the navigation state matches no item.
+   * @param {NavComponent} component - The instance of NavComponent to query.
+   * @returns {HTMLAnchorElement|null} The fallback anchor element or null if none is set.
+   */
+  static queryFallbackItem(component) {
+    const items = NavComponent.queryNavItems(component);
+    return items.find(i => i.hasAttribute('fallback')) || null;
+  }
+  /**
+   * @static
+   * @method matchItem
+   * @description Matches a navigation state against an item's `route` pattern, or its `href` if it has no `route`.
+   * @param {HTMLAnchorElement} item - The item to match.
+   * @param {string} value - The navigation state to match.
+   * @returns {KeyValue | null} The route parameters, or null if the state does not match.
+   */
+  static matchItem(item, value) {
+    return NavComponent.matchRoute(item.getAttribute('route') ?? item.getAttribute('href') ?? '', value);
+  }
+  /**
+   * @static
+   * @method matchRoute
+   * @description Matches a value against a route pattern. `:name` matches a single path segment and `*` matches the rest of the value.
+   * @param {string} pattern - The route pattern, e.g. 'users/:id' or 'docs/*'.
+   * @param {string} value - The value to match.
+   * @returns {KeyValue | null} The matched parameters by name, with the `*` match as '*', or null if the value does not match.
+   */
+  static matchRoute(pattern, value) {
+    const names = /** @type {string[]} */([]);
+    const source = pattern.split(/(:[A-Za-z_][\w-]*|\*)/).map((part, index) => {
+      if (!(index % 2)) { return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); }
+      names.push(part === '*' ? '*' : part.slice(1));
+      return part === '*' ? '(.*)' : '([^/?#]+)';
+    }).join('');
+    const match = new RegExp(`^${source}$`).exec(value);
+    if (!match) { return null; }
+    const decode = (/** @type {string} */ v) => { try { return decodeURIComponent(v); } catch { return v; } };
+    return Object.fromEntries(names.map((name, index) => [name, decode(match[index + 1])]));
+  }
+  /**
+   * @static
+   * @method getValue
+   * @description Determines the value an item sets on the target elements: its `value` attribute with route parameters substituted for `:name` and `*`, or the navigation state.
+   * @param {HTMLAnchorElement} item - The active item.
+   * @param {string | null} value - The navigation state the item was activated for.
+   * @param {KeyValue} params - The route parameters of the navigation.
+   * @returns {string | null} The value to set on the target elements.
+   */
+  static getValue(item, value, params) {
+    const template = item.getAttribute('value');
+    if (template == null) { return value; }
+    return template.replace(/:([A-Za-z_][\w-]*)|\*/g, (token, name) => {
+      if (name) { return name in params ? encodeURIComponent(params[name]) : token; }
+      return '*' in params ? params['*'] : token;
+    });
+  }
   /**
    * @static
    * @method queryTargets
@@ -175,6 +465,77 @@ class NavComponent extends HTMLElement {
     }
     return targets;
   }
+  /**
+   * @static
+   * @method isPersisted
+   * @description Determines whether the component keeps its navigation state in the url.
+   * @param {NavComponent} component - The instance of NavComponent to check.
+   * @returns {boolean} True in history mode, or when a `hash-name` is set in hash and query modes.
+   */
+  static isPersisted(component) {
+    return component.mode === 'history' || !!component.hashName;
+  }
+  /**
+   * @static
+   * @method getState
+   * @description Reads the component's navigation state from the url.
+   * @param {NavComponent} component - The instance of NavComponent to read the state for.
+   * @returns {string | null | undefined} The href of the current navigation. In history mode, the path relative to `base` if no item matches the path.
+   */
+  static getState(component) {
+    const name = component.hashName ?? '';
+    switch (component.mode) {
+      case 'history': {
+        const path = location.pathname;
+        const match = NavComponent.queryNavItems(component).find(i => NavComponent.toPath(component, i.getAttribute('href') ?? '') === path);
+        return match ? match.getAttribute('href') : path.startsWith(component.base) ? path.slice(component.base.length) : null;
+      }
+      case 'query':
+        return new URLSearchParams(location.search).get(name);
+      default:
+        return NavComponent.getHash()[name];
+    }
+  }
+  /**
+   * @static
+   * @method setState
+   * @description Writes the component's navigation state to the url. History and query mode changes are pulled by the connected components of the same mode and `hash-name`.
+   * @param {NavComponent} component - The instance of NavComponent to write the state for.
+   * @param {string | null} src - The href of the current navigation, or null to clear it.
+   * @param {boolean} replace - If true, replaces the current history entry instead of adding one.
+   */
+  static setState(component, src, replace = false) {
+    const name = component.hashName ?? '';
+    const mode = component.mode;
+    if (mode === 'hash') {
+      const hash = NavComponent.getHash();
+      if (src) { hash[name] = src; }
+      else { delete hash[name]; }
+      NavComponent.setHash(hash);
+      return;
+    }
+    const url = new URL(location.href);
+    if (mode === 'history') { url.pathname = src ? NavComponent.toPath(component, src) : component.base; }
+    else if (src) { url.searchParams.set(name, src); }
+    else { url.searchParams.delete(name); }
+    if (url.href !== location.href) {
+      replace ? history.replaceState(history.state, '', url) : history.pushState(null, '', url);
+    }
+    for (const instance of NavComponent.#INSTANCES) {
+      if (instance.mode === mode && instance.hashName === component.hashName) { NavComponent.pull(instance); }
+    }
+  }
+  /**
+   * @static
+   * @method toPath
+   * @description Resolves an href to a url path relative to the component's `base`.
+   * @param {NavComponent} component - The instance of NavComponent to resolve for.
+   * @param {string} href - The href to resolve.
+   * @returns {string} The resolved url path.
+   */
+  static toPath(component, href) {
+    return new URL(href, new URL(component.base, location.origin)).pathname;
+  }
   /**
    * @static
    * @method getHash
@@ -202,15 +563,27 @@ class NavComponent extends HTMLElement {
     if (location.hash.slice(1) === next) { return; }
     location.hash = next;
   }
-  /** @type {() => void} */
-  #navHandler = () => { NavComponent.pull(this); };
+  /** @type {(event: Event) => void} - Hash changes also fire `popstate`, so hash mode only pulls on `hashchange`. */
+  #navHandler = event => {
+    if (event.type === 'popstate' && this.mode === 'hash') { return; }
+    NavComponent.pull(this);
+  };
   connectedCallback() {
+    NavComponent.#INSTANCES.add(this);
     window.addEventListener('hashchange', this.#navHandler);
+    window.addEventListener('popstate', this.#navHandler);
     NavComponent.pull(this);
   }
   disconnectedCallback() {
-    for (const a of NavComponent.queryNavItems(this)) { a.classList.remove(NavComponent.#ACTIVECLASS); }
+    NavComponent.#INSTANCES.delete(this);
+    for (const a of NavComponent.queryNavItems(this)) {
+      a.classList.remove(this.activeClass);
+      a.removeAttribute('aria-current');
+      a.removeAttribute('aria-selected');
+    }
+    this.#active = null;
     window.removeEventListener('hashchange', this.#navHandler);
+    window.removeEventListener('popstate', this.#navHandler);
   }
 }
 export { NavComponent };
@@ -6,46 +6,309 @@ export default
  * @source https://github.com/DataDink/web-components
  */
 class ToggleButton extends HTMLElement {
+  static #FOCUSABLE = 'a[href], area[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), iframe, [contenteditable], [tabindex]:not([tabindex="-1"])';
+  static #ids = 0;
+  /** @type {Set<ToggleButton>} */
+  static #INSTANCES = new Set();
+  /** @type {Map<Element, () => void>} */
+  #reverts = new Map();
+  /** @type {(() => void) | null} */
+  #dismiss = null;
   /** @property {string} for - The id of the element to be toggled */
   get for() { return this.getAttribute('for'); }
   set for(value) { value == null ? this.removeAttribute('for') : this.setAttribute('for', value); }
+  /** @property {string} target - A query selector to the element(s) to be toggled. Used when `for` is not set. */
+  get target() { return this.getAttribute('target'); }
+  set target(value) { value == null ? this.removeAttribute('target') : this.setAttribute('target', value); }
   /** @property {string} events - The event(s) that revert the target element once toggled. */
   get events() { return this.getAttribute('events'); }
   set events(value) { value == null ? this.removeAttribute('events') : this.setAttribute('events', value); }
+  /** @property {string} attribute - The attribute toggled on the target element(s). Defaults to 'toggled'. */
+  get attribute() { return this.getAttribute('attribute') || 'toggled'; }
+  set attribute(value) { value == null ? this.removeAttribute('attribute') : this.setAttribute('attribute', value); }
+  /** @property {string} toggleClass - If set, this class is toggled on the target element(s) instead of the attribute. */
+  get toggleClass() { return this.getAttribute('toggle-class'); }
+  set toggleClass(value) { value == null ? this.removeAttribute('toggle-class') : this.setAttribute('toggle-class', value); }
+  /** @property {'on'|'off'|'toggle'} mode - Whether clicking turns the target(s) on, off or toggles them. Defaults to 'toggle'. */
+  get mode() {
+    const mode = this.getAttribute('mode');
+    return mode === 'on' || mode === 'off' ? mode : 'toggle';
+  }
+  set mode(value) { value == null ? this.removeAttribute('mode') : this.setAttribute('mode', value); }
+  /** @property {string} group - Toggle buttons sharing a group within the same root turn each other's targets off when toggled on. */
+  get group() { return this.getAttribute('group'); }
+  set group(value) { value == null ? this.removeAttribute('group') : this.setAttribute('group', value); }
+  /** @property {string} dismiss - Space separated ways the target(s) are turned off: 'outside' clicks, the 'escape' key and/or focus moving outside ('blur'). */
+  get dismiss() { return this.getAttribute('dismiss'); }
+  set dismiss(value) { value == null ? this.removeAttribute('dismiss') : this.setAttribute('dismiss', value); }
+  /** @property {boolean} trapFocus - If set, focus moves into the target(s) when toggled on and tabbing is kept within them. */
+  get trapFocus() { return this.hasAttribute('trap-focus'); }
+  set trapFocus(value) { this.toggleAttribute('trap-focus', !!value); }
+  /** @property {boolean} returnFocus - If set, focus returns to this component when the target(s) are turned off while focused. */
+  get returnFocus() { return this.hasAttribute('return-focus'); }
+  set returnFocus(value) { this.toggleAttribute('return-focus', !!value); }
+  /** @property {boolean} toggled - True when the target element(s) are toggled on. */
+  get toggled() {
+    const targets = this.getTargets();
+    return !!targets.length && targets.every(target => this.isToggled(target));
+  }
 
   constructor() {
     super();
-    this.addEventListener('click', this.toggle);
+    this.addEventListener('click', () => this.toggle());
+    this.addEventListener('keydown', e => {
+      if (e.target !== this || (e.key !== 'Enter' && e.key !== ' ')) { return; }
+      e.preventDefault();
+      this.click();
+    });
+  }
+  connectedCallback() {
+    ToggleButton.#INSTANCES.add(this);
+    if (!this.hasAttribute('role')) { this.setAttribute('role', 'button'); }
+    if (!this.hasAttribute('tabindex')) { this.setAttribute('tabindex', '0'); }
+    this.#sync(this.toggled, this.getTargets());
+  }
+  disconnectedCallback() {
+    ToggleButton.#INSTANCES.delete(this);
+    this.#dismiss?.();
+    this.#dismiss = null;
   }
   /**
    * @method getTarget - Returns the current target this component is toggling.
    * @returns {HTMLElement|null} The target element or null if not found.
    */
   getTarget() {
-    let root = this.getRootNode();
-    while (root instanceof ShadowRoot) {
-      const target = root.getElementById(this.for || '');
-      if (target) { return target; }
-      root = root.host;
+    return /** @type {HTMLElement|null} */(this.getTargets()[0] || null);
+  }
+  /**
+   * @method getTargets - Returns the element found by `for`, or all elements matching `target`.
+   * @returns {Element[]} The target elements.
+   */
+  getTargets() {
+    if (this.for) {
+      let root = this.getRootNode();
+      while (root instanceof ShadowRoot) {
+        const target = root.getElementById(this.for);
+        if (target) { return [target]; }
+        root = root.host.getRootNode();
+      }
+      const target = document.getElementById(this.for);
+      return target ? [target] : [];
+    }
+    const targets = /** @type {Element[]} */([]);
+    if (!this.target) { return targets; }
+    let root = /** @type {ShadowRoot} */(this.getRootNode());
+    while (root) {
+      targets.push(...root.querySelectorAll(this.target));
+      root = /** @type {ShadowRoot} */(root.host ? root.host.getRootNode() : null);
     }
-    return document.getElementById(this.for || '') || null;
+    return targets;
   }
   /**
-   * @method toggle - Toggles the targeted element.
+   * @method isToggled - Determines whether an element is toggled on by this component's attribute or class.
+   * @param {Element} target - The element to check.
+   * @returns {boolean} True if the element is toggled on.
+   */
+  isToggled(target) {
+    if (target.hasAttribute('popover')) {
+      try { return target.matches(':popover-open'); }
+      catch { return false; }
+    }
+    return this.toggleClass
+      ? target.classList.contains(this.toggleClass)
+      : target.hasAttribute(this.attribute);
+  }
+  /**
+   * @method toggle - Toggles the targeted element(s) according to the `mode`.
    */
   toggle() {
-    const target = this.getTarget();
-    if (!target) { return; }
-    target.toggleAttribute('toggled');
-    if (!target.hasAttribute('toggled')) { return; }
-    const events = this.events ? this.events.split(/\s+/g) : [];
-    if (!events.length) { return; }
-    const handler = () => {
-      target.removeAttribute('toggled');
-      for (const name of events) { target.removeEventListener(name, handler); }
-    };
+    const mode = this.mode;
+    this.setToggled(mode === 'toggle' ? !this.toggled : mode === 'on');
+  }
+  /**
+   * @method setToggled - Turns the targeted element(s) on or off, dispatching a `toggle` event on change.
+   * @param {boolean} state - The new state.
+   * @returns {boolean} True if the state changed.
+   */
+  setToggled(state) {
+    return this.#set(state, this.toggled);
+  }
+  /**
+   * @method #set - Applies the state to the targets and dispatches a `toggle` event if it differs from the old state.
+   * @param {boolean} state - The new state.
+   * @param {boolean} oldState - The state before the change.
+   * @returns {boolean} True if the state changed.
+   */
+  #set(state, oldState) {
+    const targets = this.getTargets();
+    if (!targets.length) { return false; }
+    if (state) { this.#closeGroup(targets); }
+    const focused = !state && this.#contains(targets, this.#getActiveElement());
+    for (const target of targets) {
+      this.#revert(target);
+      if (target instanceof HTMLElement && target.hasAttribute('popover')) {
+        if (this.isToggled(target) !== state) {
+          state
+            ? /** @type {(options?: {source?: HTMLElement}) => void} */(target.showPopover).call(target, { source: this })
+            : target.hidePopover();
+        }
+      }
+      else if (this.toggleClass) { target.classList.toggle(this.toggleClass, state); }
+      else { target.toggleAttribute(this.attribute, state); }
+      if (state) { this.#listen(target); }
+    }
+    this.#sync(state, targets);
+    this.#dismiss?.();
+    this.#dismiss = state ? this.#listenDismiss(targets) : null;
+    if (state && this.trapFocus) { this.#focusInto(targets); }
+    if (focused && this.returnFocus) { this.focus(); }
+    if (oldState === state) { return false; }
+    this.dispatchEvent(new CustomEvent('toggle', { bubbles: true, detail: { oldState, newState: state, targets } }));
+    return true;
+  }
+  /**
+   * @method #sync - Reflects the state and targets into this component's aria attributes.
+   * @param {boolean} state - The current state.
+   * @param {Element[]} targets - The target elements.
+   */
+  #sync(state, targets) {
+    const controls = targets.map(t => t.id || (t.id = `toggle-button-target-${++ToggleButton.#ids}`)).join(' ');
+    if (controls) { this.setAttribute('aria-controls', controls); }
+    else { this.removeAttribute('aria-controls'); }
+    this.setAttribute(this.hasAttribute('aria-pressed') ? 'aria-pressed' : 'aria-expanded', String(state));
+  }
+  /**
+   * @method #closeGroup - Turns off the targets of other toggle buttons in this component's group.
+   * @param {Element[]} targets - The targets being toggled on, which are left untouched.
+   */
+  #closeGroup(targets) {
+    const group = this.group;
+    if (!group) { return; }
+    const root = this.getRootNode();
+    for (const other of ToggleButton.#INSTANCES) {
+      if (other === this || other.group !== group || other.getRootNode() !== root) { continue; }
+      if (!other.getTargets().some(target => !targets.includes(target) && other.isToggled(target))) { continue; }
+      other.setToggled(false);
+    }
+  }
+  /**
+   * @method #listen - Reverts the target once one of the `events` fires on it.
+   * @param {Element} target - The toggled element.
+   */
+  #listen(target) {
+    /** @type {(() => void)[]} */
+    const cleanup = [];
+    if (target.hasAttribute('popover')) {
+      /** @param {Event} e */
+      const closed = e => {
+        if (/** @type {ToggleEvent} */(e).newState === 'closed') { this.#set(false, true); }
+      };
+      target.addEventListener('toggle', closed);
+      cleanup.push(() => target.removeEventListener('toggle', closed));
+    }
+    const events = this.events ? this.events.split(/\s+/g).filter(name => name) : [];
+    const handler = () => this.setToggled(false);
     for (const name of events) { target.addEventListener(name, handler); }
-  };
+    cleanup.push(() => { for (const name of events) { target.removeEventListener(name, handler); } });
+    this.#reverts.set(target, () => { for (const fn of cleanup) { fn(); } });
+  }
+  /**
+   * @method #listenDismiss - Listens on the document for the `dismiss` interactions while toggled on.
+   * @param {Element[]} targets - The toggled elements.
+   * @returns {(() => void) | null} A function removing the listeners.
+   */
+  #listenDismiss(targets) {
+    const modes = this.dismiss ? this.dismiss.split(/\s+/g) : [];
+    if (!modes.length && !this.trapFocus) { return null; }
+    const inside = (/** @type {Event} */e) => e.composedPath().some(node => node === this || targets.includes(/** @type {Element} */(node)));
+    /** @param {Event} e */
+    const click = e => { if (!inside(e)) { this.setToggled(false); } };
+    /** @param {Event} e */
+    const focusin = e => { if (!inside(e)) { this.setToggled(false); } };
+    /** @param {KeyboardEvent} e */
+    const keydown = e => {
+      if (e.key === 'Escape' && modes.includes('escape')) {
+        const focused = this.#contains(targets, this.#getActiveElement());
+        this.setToggled(false);
+        if (focused) { this.focus(); }
+      }
+      else if (e.key === 'Tab' && this.trapFocus) { this.#trap(e, targets); }
+    };
+    const document = this.ownerDocument;
+    if (modes.includes('outside')) { document.addEventListener('click', click, true); }
+    if (modes.includes('blur')) { document.addEventListener('focusin', focusin, true); }
+    document.addEventListener('keydown', keydown, true);
+    return () => {
+      document.removeEventListener('click', click, true);
+      document.removeEventListener('focusin', focusin, true);
+      document.removeEventListener('keydown', keydown, true);
+    };
+  }
+  /**
+   * @method #trap - Wraps tabbing around the focusable elements within the targets.
+   * @param {KeyboardEvent} e - The Tab keydown event.
+   * @param {Element[]} targets - The toggled elements.
+   */
+  #trap(e, targets) {
+    const focusable = this.#getFocusable(targets);
+    if (!focusable.length) { return; }
+    const active = this.#getActiveElement();
+    const first = focusable[0], last = focusable[focusable.length - 1];
+    const outside = !this.#contains(targets, active);
+    if (outside || (e.shiftKey ? active === first : active === last)) {
+      e.preventDefault();
+      (e.shiftKey && !outside ? last : first).focus();
+    }
+  }
+  /**
+   * @method #focusInto - Focuses the first focusable element within the targets, or the first target itself.
+   * @param {Element[]} targets - The toggled elements.
+   */
+  #focusInto(targets) {
+    if (this.#contains(targets, this.#getActiveElement())) { return; }
+    const [first] = this.#getFocusable(targets);
+    if (first) { return first.focus(); }
+    const target = /** @type {HTMLElement} */(targets[0]);
+    if (!target.hasAttribute('tabindex')) { target.setAttribute('tabindex', '-1'); }
+    target.focus();
+  }
+  /**
+   * @method #getFocusable - Returns the focusable elements within the targets in order.
+   * @param {Element[]} targets - The toggled elements.
+   * @returns {HTMLElement[]} The focusable elements.
+   */
+  #getFocusable(targets) {
+    return targets.flatMap(target => /** @type {HTMLElement[]} */([...target.querySelectorAll(ToggleButton.#FOCUSABLE)]));
+  }
+  /**
+   * @method #getActiveElement - Returns the focused element, looking through open shadow roots.
+   * @returns {Element | null} The focused element.
+   */
+  #getActiveElement() {
+    let active = this.ownerDocument.activeElement;
+    while (active?.shadowRoot?.activeElement) { active = active.shadowRoot.activeElement; }
+    return active;
+  }
+  /**
+   * @method #contains - Determines whether a node is within any of the targets.
+   * @param {Element[]} targets - The toggled elements.
+   * @param {Node | null} node - The node to check.
+   * @returns {boolean} True if the node is within a target.
+   */
+  #contains(targets, node) {
+    for (let current = node; current; current = current instanceof ShadowRoot ? current.host : current.parentNode) {
+      if (targets.includes(/** @type {Element} */(current))) { return true; }
+    }
+    return false;
+  }
+  /**
+   * @method #revert - Removes any revert listeners from the target.
+   * @param {Element} target - The toggled element.
+   */
+  #revert(target) {
+    this.#reverts.get(target)?.();
+    this.#reverts.delete(target);
+  }
 }
 export {ToggleButton};
-customElements.define('toggle-button', ToggleButton);
\ No newline at end of file
+customElements.define('toggle-button', ToggleButton);